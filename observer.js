@@ -1,493 +1,4847 @@
 // Live API Data Explorer - ENHANCED RELIABILITY VERSION
 // Implements graceful degradation and robust error handling
 
-class LiveAPIMonitor {
-    constructor() {
-        this.observers = new Set();
-        this.displayTask = null;
-        this.isActive = false;
-        this.config = {
-            updateInterval: 3000,
-            maxTracks: 8,
-            maxClips: 8,
-            enablePeriodicDisplay: true, // Can be toggled for less verbose output
-            retryFailedQueries: true
-        };
+// Outlet 0 carries structured monitor events, one message per event with the
+// event type as selector so patches can [route] on it
+// Outlet 1 carries OSC output for a UDP sender ([udpsend] or a raw byte sender)
+outlets = 2;
 
-        // Track connection health for adaptive behavior
-        this.connectionHealth = {
-            transportQueries: 0,
-            transportSuccess: 0,
-            sessionQueries: 0,
-            sessionSuccess: 0
-        };
+// Convert a JavaScript value into something Max can carry as a single atom
+function toAtom(value) {
+    if (value === null || value === undefined) return "none";
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'number' || typeof value === 'string') return value;
+    return JSON.stringify(value);
+}
 
-        post("Live API Monitor V8 Enhanced - Reliability improvements loaded");
+// LiveAPI returns object lists as "id 3 id 7 ..." - keep just the ids
+function parseIdList(list) {
+    const ids = [];
+    for (let i = 0; i < list.length; i++) {
+        if (list[i] === "id" && i + 1 < list.length) {
+            ids.push(Number(list[++i]));
+        }
     }
+    return ids;
+}
 
-    startMonitoring() {
-        if (this.isActive) {
-            post("=== ALREADY MONITORING - Use stop() first ===");
-            return;
+// Return tracks are lettered A, B, C... in Live
+function returnLetter(returnIndex) {
+    return String.fromCharCode(65 + returnIndex);
+}
+
+// Note names the way Live shows them (middle C, 60, is C3)
+function noteName(pitch) {
+    const names = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+    return `${names[pitch % 12]}${Math.floor(pitch / 12) - 2}`;
+}
+
+// Notes are matched by note_id where Live provides one, otherwise by pitch and start
+function diffNotes(previousNotes, currentNotes) {
+    const noteKey = (note) => note.noteId !== null ? `id ${note.noteId}` : `${note.pitch}@${note.startTime}`;
+    const previousByKey = new Map(previousNotes.map(note => [noteKey(note), note]));
+    const currentByKey = new Map(currentNotes.map(note => [noteKey(note), note]));
+    const fields = ["pitch", "startTime", "duration", "velocity", "mute", "probability"];
+
+    const added = currentNotes.filter(note => !previousByKey.has(noteKey(note)));
+    const removed = previousNotes.filter(note => !currentByKey.has(noteKey(note)));
+    const changed = [];
+    for (const [key, note] of currentByKey) {
+        const before = previousByKey.get(key);
+        if (before && fields.some(field => before[field] !== note[field])) {
+            changed.push({ before, after: note });
         }
+    }
 
-        post("=== LIVE API DATA EXPLORER V8 ENHANCED STARTED ===");
-        post("Event-driven monitoring with robust error handling");
-        post("");
+    return { added, removed, changed };
+}
 
-        this.isActive = true;
-        this.initializeAllSystems();
+// Approximation of Live's mixer fader curve (0.85 = 0 dB, 1.0 = +6 dB), used
+// when a parameter cannot tell us its own display string
+function liveVolumeToDb(value) {
+    const volume = Number(value);
+    if (isNaN(volume) || volume <= 0) return -Infinity;
+    const db = volume >= 0.4 ? (volume - 0.85) * 40 : -18 + 40 * Math.log10(volume / 0.4);
+    return db < -70 ? -Infinity : db;
+}
+
+function formatDb(db) {
+    return db === -Infinity ? "-inf dB" : `${db.toFixed(1)} dB`;
+}
+
+function liveVolumeDisplay(value) {
+    return formatDb(liveVolumeToDb(value));
+}
+
+// Pan the way Live's mixer shows it: 50L ... C ... 50R
+function livePanDisplay(value) {
+    const pan = Math.min(Math.max(Number(value) || 0, -1), 1);
+    const amount = Math.round(Math.abs(pan) * 50);
+    return amount === 0 ? "C" : `${amount}${pan < 0 ? 'L' : 'R'}`;
+}
+
+// Text as UTF-8 bytes
+function utf8Bytes(value) {
+    const bytes = [];
+    for (const char of String(value)) {
+        const code = char.charCodeAt(0);
+        if (code < 0x80) {
+            bytes.push(code);
+        } else {
+            encodeURIComponent(char).slice(1).split("%").forEach(hex => bytes.push(parseInt(hex, 16)));
+        }
     }
+    return bytes;
+}
 
-    stopMonitoring() {
-        if (!this.isActive) {
-            post("=== NOT CURRENTLY MONITORING ===");
-            return;
+// Local date and time for default file names, e.g. 20250114-213005
+function fileTimestamp() {
+    const pad = (value) => String(value).padStart(2, "0");
+    const now = new Date();
+    return `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-` +
+        `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+}
+
+// OSC 1.0 encoding - strings and blobs are NUL padded to 4-byte boundaries,
+// numbers are big-endian 32-bit
+function encodeOscString(value) {
+    const bytes = utf8Bytes(value);
+    bytes.push(0);
+    while (bytes.length % 4 !== 0) bytes.push(0);
+    return bytes;
+}
+
+function encodeOscNumber(tag, value) {
+    const view = new DataView(new ArrayBuffer(4));
+    if (tag === "f") {
+        view.setFloat32(0, value);
+    } else {
+        view.setInt32(0, value);
+    }
+    return [view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3)];
+}
+
+// args: list of [typeTag, value] pairs using tags i, f, s, T, F
+function encodeOscMessage(address, args) {
+    let typeTags = ",";
+    let payload = [];
+
+    for (const [tag, value] of args) {
+        typeTags += tag;
+        if (tag === "i" || tag === "f") {
+            payload = payload.concat(encodeOscNumber(tag, Number(value) || 0));
+        } else if (tag === "s") {
+            payload = payload.concat(encodeOscString(value));
         }
+        // T and F carry no payload
+    }
 
-        post("=== STOPPING ALL MONITORING ===");
-        this.performCleanup();
-        this.isActive = false;
+    return encodeOscString(address).concat(encodeOscString(typeTags), payload);
+}
 
-        // Display final connection health statistics
-        this.displayConnectionHealth();
+// LiveAPI also calls an observer with "id <n>" when it binds to its object;
+// only "<property> <value>" reports carry the observed value
+function propertyCallback(callback) {
+    return (args) => {
+        if (args[0] === "id") return;
+        callback(args);
+    };
+}
+
+// Events that report an occurrence rather than a property's new value, plus
+// those whose observers follow objects across index changes and compare with
+// their own last value - none of these are dropped as duplicates by path
+const UNDEDUPLICATED_EVENT_TYPES = new Set([
+    "status", "track_info", "selection_changed", "devices", "device_tree", "device_active",
+    "clip_launched", "clip_stopped", "clip_triggered", "clip_notes", "notes_changed",
+    "scene_changed", "scene_triggered", "scene_launched", "tracks_changed", "scenes_changed",
+    "cue_point_added", "cue_point_removed", "cue_point_renamed", "cue_point_moved", "section_changed"
+]);
+
+function sameValue(a, b) {
+    if (a === b) return true;
+    if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Live values come back from LiveAPI.get() as single-element arrays
+function firstValue(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+function oscText(value) {
+    return Array.isArray(value) ? value.join(" ") : String(value);
+}
+
+// Mixer events carry Live's display string after the raw value
+function mixerArgs(event, leading = []) {
+    return leading.concat([["f", firstValue(event.newValue)], ["s", event.details.display || ""]]);
+}
+
+// Song properties observed next to is_playing - event type, Live property and console label.
+// Loop positions are in beats; everything else is a switch
+const TRANSPORT_EXTRAS = [
+    { type: "loop", property: "loop", label: "Loop" },
+    { type: "loop_start", property: "loop_start", label: "Loop Start", beats: true },
+    { type: "loop_length", property: "loop_length", label: "Loop Length", beats: true },
+    { type: "metronome", property: "metronome", label: "Metronome" },
+    { type: "record_mode", property: "record_mode", label: "Arrangement Record" },
+    { type: "session_record", property: "session_record", label: "Session Record" },
+    { type: "overdub", property: "overdub", label: "Overdub" },
+    { type: "arrangement_overdub", property: "arrangement_overdub", label: "Arrangement Overdub" },
+    { type: "punch_in", property: "punch_in", label: "Punch In" },
+    { type: "punch_out", property: "punch_out", label: "Punch Out" },
+    { type: "nudge", property: "nudge_up", label: "Nudge Up" },
+    { type: "nudge", property: "nudge_down", label: "Nudge Down" }
+];
+
+// Default OSC address (below the prefix) and arguments for every event type
+const OSC_ADDRESS_MAP = {
+    transport: { address: "/transport", args: (event) => [["i", firstValue(event.newValue) ? 1 : 0]] },
+    tempo: { address: "/tempo", args: (event) => [["f", firstValue(event.newValue)]] },
+    signature: {
+        address: "/transport/signature",
+        args: (event) => [["i", event.details.numerator], ["i", event.details.denominator]]
+    },
+    loop: { address: "/transport/loop", args: (event) => [["i", firstValue(event.newValue) ? 1 : 0]] },
+    loop_start: { address: "/transport/loop/start", args: (event) => [["f", firstValue(event.newValue)]] },
+    loop_length: { address: "/transport/loop/length", args: (event) => [["f", firstValue(event.newValue)]] },
+    metronome: { address: "/transport/metronome", args: (event) => [["i", firstValue(event.newValue) ? 1 : 0]] },
+    record_mode: { address: "/transport/record", args: (event) => [["i", firstValue(event.newValue) ? 1 : 0]] },
+    session_record: { address: "/transport/session_record", args: (event) => [["i", firstValue(event.newValue) ? 1 : 0]] },
+    overdub: { address: "/transport/overdub", args: (event) => [["i", firstValue(event.newValue) ? 1 : 0]] },
+    arrangement_overdub: {
+        address: "/transport/arrangement_overdub",
+        args: (event) => [["i", firstValue(event.newValue) ? 1 : 0]]
+    },
+    punch_in: { address: "/transport/punch_in", args: (event) => [["i", firstValue(event.newValue) ? 1 : 0]] },
+    punch_out: { address: "/transport/punch_out", args: (event) => [["i", firstValue(event.newValue) ? 1 : 0]] },
+    nudge: {
+        address: "/transport/nudge",
+        args: (event) => [["s", event.details.direction], ["i", firstValue(event.newValue) ? 1 : 0]]
+    },
+    selected_track: { address: "/track/selected", args: (event) => [["s", oscText(event.newValue)]] },
+    selection_changed: { address: "/track/selected", args: (event) => [["s", oscText(event.newValue)]] },
+    track_info: {
+        address: "/track/info",
+        args: (event) => [
+            ["i", Number(firstValue(event.details.color)) || 0],
+            ["s", oscText(event.newValue)],
+            ["i", event.details.deviceCount !== null ? event.details.deviceCount : -1]
+        ]
+    },
+    volume: { address: "/track/volume", args: (event) => mixerArgs(event) },
+    pan: { address: "/track/pan", args: (event) => mixerArgs(event) },
+    devices: {
+        address: "/device/list",
+        args: (event) => event.details.devices.map(device => ["s", device.name])
+    },
+    device_active: {
+        address: "/device/active",
+        args: (event) => [["i", event.details.deviceIndex], ["i", event.newValue ? 1 : 0]]
+    },
+    device_parameter: {
+        address: "/device/parameter",
+        args: (event) => [
+            ["i", event.details.deviceIndex],
+            ["i", event.details.parameterIndex],
+            ["f", firstValue(event.newValue)],
+            ["s", event.details.display !== null ? event.details.display : ""]
+        ]
+    },
+    device_tree: { address: "/device/tree", args: (event) => [["s", JSON.stringify(event.details.tree)]] },
+    chain_mute: {
+        address: "/chain/mute",
+        args: (event) => [["s", event.details.label], ["i", event.newValue ? 1 : 0]]
+    },
+    chain_solo: {
+        address: "/chain/solo",
+        args: (event) => [["s", event.details.label], ["i", event.newValue ? 1 : 0]]
+    },
+    chain_volume: {
+        address: "/chain/volume",
+        args: (event) => mixerArgs(event, [["s", event.details.label]])
+    },
+    rack_macro: {
+        address: "/rack/macro",
+        args: (event) => [
+            ["s", event.details.label],
+            ["i", event.details.macroIndex],
+            ["f", firstValue(event.newValue)],
+            ["s", event.details.display !== null ? event.details.display : ""]
+        ]
+    },
+    send: {
+        address: "/track/send",
+        args: (event) => mixerArgs(event, [
+            ["i", event.details.trackIndex !== null ? event.details.trackIndex : -1],
+            ["i", event.details.sendIndex]
+        ])
+    },
+    return_volume: {
+        address: "/return/volume",
+        args: (event) => mixerArgs(event, [["i", event.details.returnIndex]])
+    },
+    return_pan: {
+        address: "/return/pan",
+        args: (event) => mixerArgs(event, [["i", event.details.returnIndex]])
+    },
+    return_mute: {
+        address: "/return/mute",
+        args: (event) => [["i", event.details.returnIndex], ["i", firstValue(event.newValue) ? 1 : 0]]
+    },
+    master_volume: { address: "/master/volume", args: (event) => mixerArgs(event) },
+    master_pan: { address: "/master/pan", args: (event) => mixerArgs(event) },
+    crossfader: { address: "/master/crossfader", args: (event) => mixerArgs(event) },
+    cue_volume: { address: "/master/cue", args: (event) => mixerArgs(event) },
+    clip_launched: {
+        address: "/clip/launched",
+        args: (event) => [
+            ["i", event.details.trackIndex],
+            ["i", event.details.clipIndex],
+            ["s", event.details.clip ? event.details.clip.name : ""]
+        ]
+    },
+    clip_stopped: {
+        address: "/clip/stopped",
+        args: (event) => [
+            ["i", event.details.trackIndex],
+            ["i", event.details.clipIndex],
+            ["s", event.details.clip ? event.details.clip.name : ""]
+        ]
+    },
+    clip_notes: {
+        address: "/clip/notes",
+        args: (event) => [["i", event.details.trackIndex], ["i", event.details.clipIndex], ["s", JSON.stringify(event.details.notes)]]
+    },
+    notes_changed: {
+        address: "/clip/notes/changed",
+        args: (event) => [
+            ["i", event.details.trackIndex],
+            ["i", event.details.clipIndex],
+            ["s", JSON.stringify({ added: event.details.added, removed: event.details.removed, changed: event.details.changed })]
+        ]
+    },
+    clip_triggered: {
+        address: "/clip/triggered",
+        args: (event) => [["i", event.details.trackIndex], ["i", event.details.clipIndex]]
+    },
+    scene_triggered: {
+        address: "/scene/triggered",
+        args: (event) => [["i", event.details.sceneIndex], ["s", event.details.name || ""]]
+    },
+    scene_launched: {
+        address: "/scene/launched",
+        args: (event) => [
+            ["i", event.details.sceneIndex],
+            ["s", event.details.name || ""],
+            ["f", event.details.tempo !== null ? event.details.tempo : 0]
+        ]
+    },
+    scene_changed: {
+        address: "/scene/changed",
+        args: (event) => [["i", event.details.sceneIndex], ["s", event.property], ["s", oscText(toAtom(event.newValue))]]
+    },
+    selected_scene: {
+        address: "/scene/selected",
+        args: (event) => [
+            ["i", event.details.sceneIndex !== null ? event.details.sceneIndex : -1],
+            ["s", event.details.name || ""]
+        ]
+    },
+    cue_point_added: {
+        address: "/cue/added",
+        args: (event) => [["i", event.details.cueIndex], ["s", event.details.name], ["f", event.details.time]]
+    },
+    cue_point_removed: {
+        address: "/cue/removed",
+        args: (event) => [["s", event.details.name], ["f", event.details.time]]
+    },
+    cue_point_renamed: {
+        address: "/cue/renamed",
+        args: (event) => [["i", event.details.cueIndex], ["s", event.details.name]]
+    },
+    cue_point_moved: {
+        address: "/cue/moved",
+        args: (event) => [["i", event.details.cueIndex], ["s", event.details.name], ["f", event.details.time]]
+    },
+    section_changed: {
+        address: "/section",
+        args: (event) => [
+            ["s", event.newValue !== null ? oscText(event.newValue) : ""],
+            ["i", event.details.cueIndex !== null ? event.details.cueIndex : -1]
+        ]
+    },
+    tracks_changed: { address: "/tracks/changed", args: (event) => [["i", event.newValue]] },
+    scenes_changed: { address: "/scenes/changed", args: (event) => [["i", event.newValue]] },
+    // The start-up values as a JSON object keyed by "<path> <property>"
+    initial_state: {
+        address: "/initial_state",
+        args: (event) => {
+            const values = {};
+            event.details.values.forEach(entry => { values[`${entry.path} ${entry.property}`] = entry.value; });
+            return [["i", event.newValue], ["s", JSON.stringify(values)]];
+        }
+    },
+    status: {
+        address: "/status",
+        args: (event) => {
+            const { transport, tempo, songTime } = event.newValue;
+            return [
+                ["i", firstValue(transport) ? 1 : 0],
+                ["f", tempo !== null ? tempo : 0],
+                ["f", songTime !== null ? songTime : 0]
+            ];
+        }
     }
+};
 
-    restartMonitoring() {
-        this.stopMonitoring();
-        const restartTask = new Task(() => this.startMonitoring());
-        restartTask.schedule(100);
+// Publishes monitor events as OSC messages on outlet 1
+class OscPublisher {
+    constructor(config) {
+        this.config = config;
+        this.addressOverrides = {};
+        this.sentCount = 0;
     }
 
-    showStatus() {
-        post(`=== MONITORING STATUS: ${this.isActive ? 'ACTIVE' : 'STOPPED'} ===`);
-        post(`Active observers: ${this.observers.size}`);
-        post(`Periodic display: ${this.config.enablePeriodicDisplay ? 'ENABLED' : 'DISABLED'}`);
-        post(`Update interval: ${this.config.updateInterval}ms`);
+    addressFor(type) {
+        if (this.addressOverrides[type]) return this.addressOverrides[type];
+        const entry = OSC_ADDRESS_MAP[type];
+        return entry ? `${this.config.oscPrefix}${entry.address}` : `${this.config.oscPrefix}/${type}`;
+    }
 
-        if (this.isActive) {
-            // Show recent connection health
-            const { transportQueries, transportSuccess, sessionQueries, sessionSuccess } = this.connectionHealth;
-            const transportRate = transportQueries > 0 ? ((transportSuccess / transportQueries) * 100).toFixed(1) : 'N/A';
-            const sessionRate = sessionQueries > 0 ? ((sessionSuccess / sessionQueries) * 100).toFixed(1) : 'N/A';
+    argumentsFor(event) {
+        const entry = OSC_ADDRESS_MAP[event.type];
+        if (entry) return entry.args(event);
 
-            post(`Connection Health - Transport: ${transportRate}%, Session: ${sessionRate}%`);
+        // Unmapped events fall back to their new value
+        const value = firstValue(event.newValue);
+        if (typeof value === 'number') return [[Number.isInteger(value) ? "i" : "f", value]];
+        return [["s", oscText(toAtom(event.newValue))]];
+    }
+
+    // Tell the downstream UDP sender where to send
+    sendDestination() {
+        try {
+            outlet(1, "host", this.config.oscHost);
+            outlet(1, "port", this.config.oscPort);
+        } catch (error) {
+            // Outlet unavailable
         }
     }
 
-    performCleanup() {
-        for (const observer of this.observers) {
-            try {
-                if (observer && typeof observer.close === 'function') {
-                    observer.close();
-                }
-            } catch (error) {
-                // Silently handle cleanup errors
+    publish(event) {
+        if (!this.config.oscEnabled) return;
+
+        const address = this.addressFor(event.type);
+        const args = this.argumentsFor(event);
+
+        try {
+            if (this.config.oscFormat === "message") {
+                // [udpsend] encodes OSC itself from a plain Max message
+                outlet(1, address, ...args.map(([, value]) => value));
+            } else {
+                outlet(1, encodeOscMessage(address, args));
             }
+            this.sentCount++;
+        } catch (error) {
+            // Outlet unavailable
         }
-        this.observers.clear();
+    }
+}
 
-        if (this.displayTask) {
-            this.displayTask.cancel();
-            this.displayTask = null;
-        }
+// Session journal - appends every observed change to a JSON-lines file so a
+// gig or studio session can be reconstructed afterwards
+class EventJournal {
+    constructor(maxBytes) {
+        this.file = null;
+        this.basePath = null;
+        this.part = 0;
+        this.maxBytes = maxBytes;
+        this.eventCount = 0;
+        this.startedAt = null;
     }
 
-    initializeAllSystems() {
-        const { maxTracks, maxClips } = this.config;
+    get isRecording() {
+        return this.file !== null;
+    }
 
-        // Initialize event-driven monitoring (these work reliably)
-        this.setupTransportMonitoring();
-        this.setupTempoMonitoring();
-        this.setupTrackMonitoring();
-        this.setupParameterMonitoring();
+    get currentPath() {
+        if (!this.basePath) return null;
+        const stem = this.basePath.replace(/\.jsonl$/, "");
+        return this.part === 0 ? `${stem}.jsonl` : `${stem}.${this.part}.jsonl`;
+    }
 
-        // Initialize clip monitoring with enhanced error handling
-        this.setupEnhancedClipMonitoring(maxTracks, maxClips);
+    static defaultPath() {
+        return `observer-session-${fileTimestamp()}.jsonl`;
+    }
 
-        // Initialize periodic display with graceful degradation
-        if (this.config.enablePeriodicDisplay) {
-            this.createRobustPeriodicDisplay();
+    start(filePath, songTime) {
+        this.basePath = filePath || EventJournal.defaultPath();
+        this.part = 0;
+        this.eventCount = 0;
+        this.startedAt = Date.now();
+        return this.openPart(songTime);
+    }
+
+    openPart(songTime) {
+        const file = new File(this.currentPath, "write", "TEXT");
+        if (!file.isopen) {
+            this.file = null;
+            return false;
         }
 
-        post("All monitoring systems initialized with enhanced reliability");
+        // Append to whatever is already there
+        file.position = file.eof;
+        this.file = file;
+        this.writeRecord({
+            type: "journal_start",
+            part: this.part,
+            wallTime: Date.now(),
+            songTime: songTime !== undefined ? songTime : null
+        });
+        return true;
     }
 
-    setupTransportMonitoring() {
-        const transportCallback = (args) => {
-            if (!this.isActive) return;
-            const [, isPlaying] = args;
-            post(`=== TRANSPORT: ${isPlaying ? 'PLAYING' : 'STOPPED'} ===`);
-        };
+    write(event) {
+        if (!this.file) return;
+
+        this.writeRecord(Object.assign({ time: new Date(event.wallTime).toISOString() }, event));
+        this.eventCount++;
 
+        if (this.maxBytes > 0 && this.file.eof >= this.maxBytes) {
+            this.rotate(event.songTime);
+        }
+    }
+
+    writeRecord(record) {
         try {
-            const transportAPI = new LiveAPI(transportCallback, "live_set");
-            transportAPI.property = "is_playing";
-            this.observers.add(transportAPI);
+            this.file.writeline(JSON.stringify(record));
         } catch (error) {
-            post("Warning: Could not set up transport monitoring");
+            // Disk errors must not interrupt monitoring
         }
     }
 
-    setupTempoMonitoring() {
-        const tempoCallback = (args) => {
-            if (!this.isActive) return;
-            const [, tempo] = args;
-            post(`=== TEMPO: ${tempo.toFixed(1)} BPM ===`);
-        };
+    rotate(songTime) {
+        this.closePart(songTime, "rotated");
+        this.part++;
+        this.openPart(songTime);
+    }
+
+    stop(songTime) {
+        if (!this.file) return;
+        this.closePart(songTime, "stopped");
+    }
+
+    closePart(songTime, reason) {
+        this.writeRecord({
+            type: "journal_stop",
+            reason,
+            part: this.part,
+            wallTime: Date.now(),
+            songTime: songTime !== undefined ? songTime : null
+        });
 
         try {
-            const tempoAPI = new LiveAPI(tempoCallback, "live_set");
-            tempoAPI.property = "tempo";
-            this.observers.add(tempoAPI);
+            this.file.close();
         } catch (error) {
-            post("Warning: Could not set up tempo monitoring");
+            // File already closed
         }
+        this.file = null;
     }
+}
 
-    setupTrackMonitoring() {
-        const trackCallback = (args) => {
-            if (!this.isActive) return;
-            const [, trackName] = args;
-            post(`=== SELECTED TRACK: ${trackName} ===`);
+// Standard MIDI File encoding - delta times are variable-length quantities,
+// chunk lengths big-endian 32-bit
+function encodeVariableLength(value) {
+    const bytes = [value & 0x7f];
+    let remaining = value >>> 7;
+    while (remaining > 0) {
+        bytes.unshift((remaining & 0x7f) | 0x80);
+        remaining >>>= 7;
+    }
+    return bytes;
+}
 
-            // Use robust track analysis with error handling
-            this.analyzeCurrentTrackSafely();
-        };
+function smfChunk(type, data) {
+    const length = data.length;
+    return utf8Bytes(type).concat([(length >>> 24) & 0xff, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff], data);
+}
 
-        try {
-            const trackAPI = new LiveAPI(trackCallback, "live_set view selected_track");
-            trackAPI.property = "name";
-            this.observers.add(trackAPI);
-        } catch (error) {
-            post("Warning: Could not set up track monitoring");
+function smfMetaEvent(metaType, data) {
+    return [0xff, metaType].concat(encodeVariableLength(data.length), data);
+}
+
+// One MTrk chunk from events with absolute ticks; at equal ticks, lower `order` goes first
+function smfTrack(events) {
+    const sorted = events.slice().sort((a, b) => a.tick - b.tick || a.order - b.order);
+    let data = [];
+    let lastTick = 0;
+
+    for (const event of sorted) {
+        data = data.concat(encodeVariableLength(event.tick - lastTick), event.data);
+        lastTick = event.tick;
+    }
+
+    return smfChunk("MTrk", data.concat([0x00], smfMetaEvent(0x2f, [])));
+}
+
+// Clip launches and stops laid out on a beat timeline together with the tempo
+// changes, exported as a Standard MIDI File: one MIDI track per Live track and
+// one note per clip slot (base note + slot index)
+class PerformanceRecorder {
+    constructor(config) {
+        this.config = config;
+        this.clear();
+    }
+
+    static defaultPath() {
+        return `observer-performance-${fileTimestamp()}.mid`;
+    }
+
+    clear() {
+        this.notes = []; // { trackIndex, clipIndex, start, end, name } in beats
+        this.openNotes = new Map(); // "track clip" -> note still playing
+        this.tempoMap = []; // { beats, bpm }
+        this.trackNames = new Map();
+        this.position = null; // { beats, songTime, wallTime, bpm } of the last recorded event
+    }
+
+    get noteCount() {
+        return this.notes.length + this.openNotes.size;
+    }
+
+    // Beats since the first recorded event. Song time is followed while it moves
+    // forward; across loops, jumps and restarts the wall clock is converted with the current tempo
+    advance(event) {
+        const { songTime, wallTime } = event;
+        if (this.position === null) {
+            this.position = { beats: 0, songTime, wallTime, bpm: 120 };
+            return 0;
         }
+
+        const position = this.position;
+        const songTimeAdvanced = songTime !== null && position.songTime !== null && songTime >= position.songTime;
+        position.beats += songTimeAdvanced
+            ? songTime - position.songTime
+            : Math.max(0, wallTime - position.wallTime) / 60000 * position.bpm;
+        position.songTime = songTime;
+        position.wallTime = wallTime;
+        return position.beats;
     }
 
-    analyzeCurrentTrackSafely() {
-        if (!this.isActive) return;
+    record(event) {
+        const { type, details } = event;
 
-        try {
-            const trackAPI = new LiveAPI(null, "live_set view selected_track");
-            if (trackAPI.id === 0) return;
+        // The start-up state holds the tempo and the clips already playing. The
+        // history is kept across restarts: clips still open carry on and an
+        // unchanged tempo is not repeated, while open clips missing from the
+        // snapshot stopped while monitoring was off and end here
+        if (type === "initial_state" && !event.replayed) {
+            const noteKey = (entryDetails) => `${entryDetails.trackIndex} ${entryDetails.clipIndex}`;
+            const playing = new Set(details.values
+                .filter(entry => entry.type === "clip_launched")
+                .map(entry => noteKey(entry.details)));
+            const lastTempo = this.tempoMap.length > 0 ? this.tempoMap[this.tempoMap.length - 1].bpm : null;
 
-            // Query each property individually with error handling
-            const trackInfo = {};
+            for (const note of Array.from(this.openNotes.values())) {
+                if (!playing.has(noteKey(note))) {
+                    this.record(Object.assign({}, event, { type: "clip_stopped", newValue: 0, details: note }));
+                }
+            }
+            for (const entry of details.values) {
+                if (entry.type === "clip_launched" && this.openNotes.has(noteKey(entry.details))) continue;
+                if (entry.type === "tempo" && parseFloat(firstValue(entry.value)) === lastTempo) continue;
+                this.record(Object.assign({}, event, { type: entry.type, newValue: entry.value, details: entry.details }));
+            }
+            return;
+        }
+        if (event.replayed || (type !== "tempo" && type !== "clip_launched" && type !== "clip_stopped")) return;
 
-            try { trackInfo.color = trackAPI.get("color"); } catch (e) { trackInfo.color = "unknown"; }
-            try { trackInfo.muted = trackAPI.get("mute"); } catch (e) { trackInfo.muted = false; }
-            try { trackInfo.soloed = trackAPI.get("solo"); } catch (e) { trackInfo.soloed = false; }
-            try { trackInfo.armed = trackAPI.get("arm"); } catch (e) { trackInfo.armed = false; }
-            try { trackInfo.devices = trackAPI.get("devices"); } catch (e) { trackInfo.devices = []; }
+        const beats = this.advance(event);
 
-            // Format output based on successfully retrieved information
-            const { color, muted, soloed, armed, devices } = trackInfo;
-            const statusParts = [];
-            if (muted) statusParts.push("MUTED");
-            if (soloed) statusParts.push("SOLO");
-            if (armed) statusParts.push("ARMED");
-            if (statusParts.length === 0) statusParts.push("AUDIBLE");
+        if (type === "tempo") {
+            const bpm = parseFloat(firstValue(event.newValue));
+            if (isNaN(bpm) || bpm <= 0) return;
+            this.position.bpm = bpm;
+            this.tempoMap.push({ beats, bpm });
+            return;
+        }
 
-            post(`    Color: ${color} | Status: ${statusParts.join(" | ")}`);
-            post(`    Devices: ${Array.isArray(devices) ? devices.length : 'unknown'}`);
+        const key = `${details.trackIndex} ${details.clipIndex}`;
+        const playingNote = this.openNotes.get(key);
+        if (playingNote) {
+            playingNote.end = beats;
+            this.notes.push(playingNote);
+            this.openNotes.delete(key);
+        }
 
-        } catch (error) {
-            post("    Track analysis temporarily unavailable");
+        if (type === "clip_launched") {
+            if (details.trackName) this.trackNames.set(details.trackIndex, details.trackName);
+            this.openNotes.set(key, {
+                trackIndex: details.trackIndex,
+                clipIndex: details.clipIndex,
+                start: beats,
+                end: null,
+                name: details.clip ? details.clip.name : null
+            });
         }
     }
 
-    setupParameterMonitoring() {
-        if (!this.isActive) return;
+    // Format 1 file: a conductor track with the tempo map, then one track per Live track
+    toBytes(signature) {
+        const ppq = this.config.midiExportPpq;
+        const ticks = (beats) => Math.round(beats * ppq);
+        const endBeats = this.position ? this.position.beats : 0;
+
+        // Clips still playing end at the last recorded event
+        const notes = this.notes.concat(Array.from(this.openNotes.values()).map(note => Object.assign({}, note, { end: endBeats })));
+
+        const conductor = [{ tick: 0, order: 0, data: smfMetaEvent(0x03, utf8Bytes("Live Performance")) }];
+        if (signature) {
+            const denominatorPower = Math.round(Math.log2(signature.denominator));
+            conductor.push({ tick: 0, order: 0, data: smfMetaEvent(0x58, [signature.numerator, denominatorPower, 24, 8]) });
+        }
+        const tempoMap = this.tempoMap.length > 0 ? this.tempoMap : [{ beats: 0, bpm: 120 }];
+        for (const { beats, bpm } of tempoMap) {
+            const microsecondsPerBeat = Math.round(60000000 / bpm);
+            conductor.push({
+                tick: ticks(beats),
+                order: 0,
+                data: smfMetaEvent(0x51, [(microsecondsPerBeat >>> 16) & 0xff, (microsecondsPerBeat >>> 8) & 0xff, microsecondsPerBeat & 0xff])
+            });
+        }
+
+        const trackIndexes = Array.from(new Set(notes.map(note => note.trackIndex))).sort((a, b) => a - b);
+        const tracks = trackIndexes.map(trackIndex => {
+            const channel = trackIndex % 16;
+            const trackName = this.trackNames.get(trackIndex) || `Track ${trackIndex + 1}`;
+            const events = [{ tick: 0, order: 0, data: smfMetaEvent(0x03, utf8Bytes(trackName)) }];
+
+            for (const note of notes.filter(candidate => candidate.trackIndex === trackIndex)) {
+                const pitch = Math.min(this.config.midiExportBaseNote + note.clipIndex, 127);
+                const start = ticks(note.start);
+                const end = Math.max(ticks(note.end), start + 1);
+                if (note.name) events.push({ tick: start, order: 2, data: smfMetaEvent(0x01, utf8Bytes(note.name)) });
+                events.push({ tick: start, order: 3, data: [0x90 | channel, pitch, 100] });
+                events.push({ tick: end, order: 1, data: [0x80 | channel, pitch, 0] });
+            }
+
+            return smfTrack(events);
+        });
+
+        const header = smfChunk("MThd", [0x00, 0x01, 0x00, tracks.length + 1, (ppq >>> 8) & 0xff, ppq & 0xff]);
+        return tracks.reduce((bytes, track) => bytes.concat(track), header.concat(smfTrack(conductor)));
+    }
+}
+
+// Tempo and time signature changes along the song-time axis (in beats), used to
+// show positions as bars.beats.sixteenths and min:sec.ms. The first value
+// observed is taken to hold from the start of the song
+class SongTimeline {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this.signatures = []; // { beats, bar, numerator, denominator } - `bar` (zero based) starts at `beats`
+        this.tempos = []; // { beats, bpm, seconds } - `seconds` elapsed at `beats`
+    }
+
+    // Insert keeping the list ordered by beats; a change at the same beat replaces the old one
+    static insert(list, entry) {
+        const existing = list.findIndex(candidate => Math.abs(candidate.beats - entry.beats) < 1e-6);
+        if (existing !== -1) {
+            list[existing] = entry;
+        } else {
+            list.push(entry);
+            list.sort((a, b) => a.beats - b.beats);
+        }
+    }
+
+    static entryAt(list, beats) {
+        let found = list[0] || null;
+        for (const entry of list) {
+            if (entry.beats > beats) break;
+            found = entry;
+        }
+        return found;
+    }
+
+    setSignature(beats, numerator, denominator) {
+        const start = this.signatures.length === 0 || beats === null ? 0 : Math.max(0, beats);
+        SongTimeline.insert(this.signatures, { beats: start, bar: 0, numerator, denominator });
+
+        // A change in the middle of a bar cuts that bar short and starts a new one
+        for (let i = 1; i < this.signatures.length; i++) {
+            const previous = this.signatures[i - 1];
+            const barLength = previous.numerator * 4 / previous.denominator;
+            const bars = (this.signatures[i].beats - previous.beats) / barLength;
+            this.signatures[i].bar = previous.bar + Math.ceil(bars - 1e-6);
+        }
+    }
+
+    setTempo(beats, bpm) {
+        const start = this.tempos.length === 0 || beats === null ? 0 : Math.max(0, beats);
+        SongTimeline.insert(this.tempos, { beats: start, bpm, seconds: 0 });
+
+        for (let i = 1; i < this.tempos.length; i++) {
+            const previous = this.tempos[i - 1];
+            this.tempos[i].seconds = previous.seconds + (this.tempos[i].beats - previous.beats) * 60 / previous.bpm;
+        }
+    }
+
+    signatureAt(beats) {
+        return SongTimeline.entryAt(this.signatures, beats) || { beats: 0, bar: 0, numerator: 4, denominator: 4 };
+    }
+
+    // Split beats into whole bars, beats and sixteenths of the given signature
+    static divide(beats, signature) {
+        const beatLength = 4 / signature.denominator;
+        const barLength = signature.numerator * beatLength;
+        const bars = Math.floor(beats / barLength + 1e-6);
+        const inBar = Math.max(0, beats - bars * barLength);
+        const beat = Math.floor(inBar / beatLength + 1e-6);
+        const sixteenth = Math.floor(Math.max(0, inBar - beat * beatLength) / 0.25 + 1e-6);
+        return { bars, beat, sixteenth };
+    }
+
+    // 1.1.1 is the start of the song
+    toBarsBeats(beats) {
+        if (beats === null || isNaN(beats)) return null;
+        const signature = this.signatureAt(beats);
+        const { bars, beat, sixteenth } = SongTimeline.divide(Math.max(0, beats - signature.beats), signature);
+        return `${signature.bar + bars + 1}.${beat + 1}.${sixteenth + 1}`;
+    }
+
+    // Lengths count from zero, e.g. 4.0.0 for four bars
+    toDuration(length, atBeats = 0) {
+        if (length === null || isNaN(length)) return null;
+        const { bars, beat, sixteenth } = SongTimeline.divide(length, this.signatureAt(atBeats));
+        return `${bars}.${beat}.${sixteenth}`;
+    }
+
+    toClock(beats) {
+        if (beats === null || isNaN(beats)) return null;
+        const tempo = SongTimeline.entryAt(this.tempos, beats) || { beats: 0, bpm: 120, seconds: 0 };
+        const milliseconds = Math.max(0, Math.round((tempo.seconds + (beats - tempo.beats) * 60 / tempo.bpm) * 1000));
+        const minutes = Math.floor(milliseconds / 60000);
+        const seconds = Math.floor((milliseconds % 60000) / 1000);
+        return `${minutes}:${String(seconds).padStart(2, "0")}.${String(milliseconds % 1000).padStart(3, "0")}`;
+    }
+}
+
+// Continuous controllers that are rate limited by default, plus the tempo and
+// loop values that are only reported once they settle
+function defaultThrottlePolicies() {
+    const policies = {
+        tempo: { mode: "trailing", interval: 250, minDelta: 0 },
+        loop_start: { mode: "trailing", interval: 250, minDelta: 0 },
+        loop_length: { mode: "trailing", interval: 250, minDelta: 0 }
+    };
+    const continuousTypes = ["volume", "pan", "send", "return_volume", "return_pan", "master_volume", "master_pan",
+        "crossfader", "cue_volume", "chain_volume", "device_parameter", "rack_macro"];
+    for (const type of continuousTypes) {
+        policies[type] = { mode: "rate", interval: 100, minDelta: 0 };
+    }
+    return policies;
+}
+
+// Throttling per observed property. "rate" passes a change straight through and
+// then at most one per interval, always delivering the latest value at the end;
+// "trailing" waits until the value has not changed for the interval. Changes
+// smaller than minDelta from the last delivered value are held back until the
+// value has settled for another interval, so the resting value is still reported
+class EventThrottle {
+    constructor() {
+        this.states = new Map(); // key -> { lastTime, lastValue, pending, task }
+    }
+
+    submit(key, policy, value, deliver) {
+        // The first value of an observer is its current state and always passes
+        let state = this.states.get(key);
+        if (!state) {
+            state = { lastTime: -Infinity, lastValue: undefined, pending: null, task: null };
+            this.states.set(key, state);
+            this.deliver(state, value, deliver);
+            return;
+        }
+
+        const now = Date.now();
+        if (policy.mode === "rate" && !state.pending && now - state.lastTime >= policy.interval && !this.belowMinDelta(state, policy, value)) {
+            this.deliver(state, value, deliver);
+            return;
+        }
+
+        state.pending = { value, deliver, settled: false };
+        if (policy.mode === "trailing" && state.task) {
+            state.task.cancel();
+            state.task = null;
+        }
+        if (!state.task) {
+            const delay = policy.mode === "trailing" ? policy.interval : Math.max(0, policy.interval - (now - state.lastTime));
+            state.task = new Task(() => this.flush(state, policy));
+            state.task.schedule(delay);
+        }
+    }
+
+    flush(state, policy) {
+        state.task = null;
+        if (!state.pending) return;
+        const { value, deliver, settled } = state.pending;
+        if (!settled && this.belowMinDelta(state, policy, value)) {
+            // Delivered anyway if nothing newer arrives within the interval
+            state.pending.settled = true;
+            state.task = new Task(() => this.flush(state, policy));
+            state.task.schedule(policy.interval);
+            return;
+        }
+        state.pending = null;
+        this.deliver(state, value, deliver);
+    }
+
+    belowMinDelta(state, policy, value) {
+        const current = parseFloat(firstValue(value));
+        const last = parseFloat(firstValue(state.lastValue));
+        return policy.minDelta > 0 && !isNaN(current) && !isNaN(last) && Math.abs(current - last) < policy.minDelta;
+    }
+
+    deliver(state, value, deliver) {
+        state.lastTime = Date.now();
+        state.lastValue = value;
+        deliver();
+    }
+
+    // Start from a value observed without going through the throttle
+    seed(key, value) {
+        if (!this.states.has(key)) {
+            this.states.set(key, { lastTime: -Infinity, lastValue: value, pending: null, task: null });
+        }
+    }
+
+    hasPending(key) {
+        const state = this.states.get(key);
+        return Boolean(state && state.pending);
+    }
+
+    pendingValue(key) {
+        const state = this.states.get(key);
+        return state && state.pending ? state.pending.value : undefined;
+    }
+
+    // Deliver pending values now and forget the observers, e.g. before they are re-targeted
+    flushAll(keyPrefix = "") {
+        for (const [key, state] of this.states) {
+            if (!key.startsWith(keyPrefix)) continue;
+            if (state.task) state.task.cancel();
+            this.flush(state, { minDelta: 0 });
+            this.states.delete(key);
+        }
+    }
+
+    // Drop pending values without delivering them
+    discard(keyPrefix = "") {
+        for (const [key, state] of this.states) {
+            if (!key.startsWith(keyPrefix)) continue;
+            if (state.task) state.task.cancel();
+            this.states.delete(key);
+        }
+    }
+}
+
+// Track filter rules decide which tracks get clip, send and device observers.
+// A track is observed if it matches any "include" rule (or there are none)
+// and no "exclude" rule. Names and group names match a glob ("Drums*") or a
+// regex ("/^fx/i"), colors are Live's integer or "#rrggbb", type is audio or
+// midi, and foldable is 1 for group tracks
+const TRACK_FILTER_FIELDS = ["name", "color", "type", "group", "foldable"];
+
+function patternMatcher(pattern) {
+    const text = String(pattern);
+    const regex = text.match(/^\/(.*)\/([a-z]*)$/);
+    if (regex) return new RegExp(regex[1], regex[2]);
+
+    const escaped = text.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+    return new RegExp(`^${escaped}$`, "i");
+}
+
+function parseTrackColor(value) {
+    if (typeof value === "number") return value;
+    const text = String(value);
+    return text.startsWith("#") ? parseInt(text.slice(1), 16) : Number(text);
+}
+
+// Error text for a rule that cannot be applied, null when it is valid
+function trackFilterError(rule) {
+    if (typeof rule !== "object" || rule === null) return "expected { action, field, pattern }";
+    if (rule.action !== "include" && rule.action !== "exclude") {
+        return `action: expected include or exclude, got ${describeValue(rule.action)}`;
+    }
+    if (!TRACK_FILTER_FIELDS.includes(rule.field)) {
+        return `field: expected one of ${TRACK_FILTER_FIELDS.join(", ")}, got ${describeValue(rule.field)}`;
+    }
+    if (rule.pattern === undefined || rule.pattern === null || rule.pattern === "") return "pattern: missing";
+
+    switch (rule.field) {
+        case "name":
+        case "group":
+            try {
+                patternMatcher(rule.pattern);
+            } catch (error) {
+                return `pattern: invalid regex ${describeValue(rule.pattern)}`;
+            }
+            return null;
+        case "color": {
+            const color = parseTrackColor(rule.pattern);
+            return Number.isInteger(color) && color >= 0 && color <= 0xffffff
+                ? null : `pattern: expected a color number or #rrggbb, got ${describeValue(rule.pattern)}`;
+        }
+        case "type":
+            return rule.pattern === "audio" || rule.pattern === "midi" ? null : `pattern: expected audio or midi, got ${describeValue(rule.pattern)}`;
+        default:
+            return [0, 1, "0", "1"].includes(rule.pattern) ? null : `pattern: expected 1 or 0, got ${describeValue(rule.pattern)}`;
+    }
+}
+
+// track: { name, color, type, group, foldable } as read from Live
+function trackMatchesRule(track, rule) {
+    switch (rule.field) {
+        case "name":
+            return patternMatcher(rule.pattern).test(track.name);
+        case "group":
+            return track.group !== null && patternMatcher(rule.pattern).test(track.group);
+        case "color":
+            return track.color === parseTrackColor(rule.pattern);
+        case "type":
+            return track.type === rule.pattern;
+        default:
+            return track.foldable === Boolean(Number(rule.pattern));
+    }
+}
+
+function trackPassesFilters(track, rules) {
+    const includes = rules.filter(rule => rule.action === "include");
+    if (includes.length > 0 && !includes.some(rule => trackMatchesRule(track, rule))) return false;
+    return !rules.some(rule => rule.action === "exclude" && trackMatchesRule(track, rule));
+}
+
+function formatTrackFilter(rule) {
+    return `${rule.action} ${rule.field} ${rule.pattern}`;
+}
+
+// Console verbosity, most to least important. A category shows the messages at
+// or above its own level, or at or above logLevel when it has none
+const LOG_LEVELS = ["error", "warn", "info", "debug", "trace"];
+const LOG_CATEGORIES = ["transport", "tempo", "track", "mixer", "clip", "status", "health", "lifecycle"];
+
+const MIXER_EVENT_TYPES = new Set(["volume", "pan", "send", "crossfader", "cue_volume", "chain_volume"]);
+const TRANSPORT_EVENT_TYPES = new Set(["transport", "signature", "section_changed"].concat(TRANSPORT_EXTRAS.map(extra => extra.type)));
+
+// Log category of the console line for an event
+function eventLogCategory(type) {
+    if (type === "tempo") return "tempo";
+    if (type === "status" || type === "initial_state") return "status";
+    if (TRANSPORT_EVENT_TYPES.has(type) || type.startsWith("cue_point_")) return "transport";
+    if (MIXER_EVENT_TYPES.has(type) || type.startsWith("return_") || type.startsWith("master_")) return "mixer";
+    if (type.startsWith("clip_") || type.startsWith("scene") || type === "notes_changed" || type === "selected_scene") return "clip";
+    return "track";
+}
+
+// Console output with a level and a category per message. With logToError on,
+// warnings and errors go to error() so the Max console shows them in red
+class Logger {
+    constructor(config) {
+        this.config = config;
+    }
+
+    threshold(category) {
+        return this.config.logCategories[category] || this.config.logLevel;
+    }
+
+    enabled(level, category) {
+        return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.threshold(category));
+    }
+
+    write(level, category, message) {
+        if (!this.enabled(level, category)) return;
+        if (this.config.logToError && (level === "error" || level === "warn")) {
+            error(message);
+        } else {
+            post(message);
+        }
+    }
+
+    error(category, message) {
+        this.write("error", category, message);
+    }
+
+    warn(category, message) {
+        this.write("warn", category, message);
+    }
+
+    info(category, message) {
+        this.write("info", category, message);
+    }
+
+    debug(category, message) {
+        this.write("debug", category, message);
+    }
+
+    trace(category, message) {
+        this.write("trace", category, message);
+    }
+}
+
+// Settings that can be saved and loaded, with the values each one accepts.
+// Keys left out of a saved configuration keep their current value
+const CONFIG_FORMAT_VERSION = 1;
+const DEFAULT_CONFIG_PATH = "observer-config.json";
+const CONFIG_SCHEMA = {
+    updateInterval: { type: "integer", min: 1000, max: 60000 },
+    maxTracks: { type: "integer", min: 1, max: 256 },
+    maxClips: { type: "integer", min: 1, max: 256 },
+    maxScenes: { type: "integer", min: 0, max: 1024 },
+    followSelection: { type: "boolean" },
+    deviceMonitoring: { type: "boolean" },
+    maxDeviceParameters: { type: "integer", min: 1, max: 1024 },
+    rackMonitoring: { type: "boolean" },
+    maxRackDepth: { type: "integer", min: 0, max: 16 },
+    sendMonitoring: { type: "string", values: ["all", "selected", "off"] },
+    noteMonitoring: { type: "boolean" },
+    enablePeriodicDisplay: { type: "boolean" },
+    retryFailedQueries: { type: "boolean" },
+    consoleOutput: { type: "boolean" },
+    structuredOutput: { type: "boolean" },
+    eventFormat: { type: "string", values: ["list", "json"] },
+    journalMaxBytes: { type: "integer", min: 0, max: 2147483647 },
+    midiExportPpq: { type: "integer", min: 24, max: 32767 },
+    midiExportBaseNote: { type: "integer", min: 0, max: 127 },
+    oscEnabled: { type: "boolean" },
+    oscHost: { type: "string" },
+    oscPort: { type: "integer", min: 1, max: 65535 },
+    oscPrefix: { type: "string", address: true },
+    oscFormat: { type: "string", values: ["bytes", "message"] },
+    throttle: { type: "throttle" },
+    trackFilters: { type: "trackFilters" },
+    logLevel: { type: "string", values: LOG_LEVELS },
+    logCategories: { type: "logCategories" },
+    logToError: { type: "boolean" }
+};
+
+function describeValue(value) {
+    return typeof value === "string" ? `"${value}"` : JSON.stringify(value);
+}
+
+// Error text for a value that does not match its schema entry, null when it does
+function settingError(key, value) {
+    const schema = CONFIG_SCHEMA[key];
+    if (!schema) return `${key}: unknown setting`;
+
+    switch (schema.type) {
+        case "integer":
+            if (typeof value !== "number" || !Number.isInteger(value) || value < schema.min || value > schema.max) {
+                return `${key}: expected a whole number from ${schema.min} to ${schema.max}, got ${describeValue(value)}`;
+            }
+            return null;
+
+        case "boolean":
+            if (typeof value !== "boolean" && value !== 0 && value !== 1) {
+                return `${key}: expected true/false or 1/0, got ${describeValue(value)}`;
+            }
+            return null;
+
+        case "string":
+            if (typeof value !== "string") return `${key}: expected a string, got ${describeValue(value)}`;
+            if (schema.values && !schema.values.includes(value)) {
+                return `${key}: expected one of ${schema.values.join(", ")}, got ${describeValue(value)}`;
+            }
+            if (schema.address && value !== "" && !value.startsWith("/")) {
+                return `${key}: must be empty or start with '/', got ${describeValue(value)}`;
+            }
+            return null;
+
+        case "throttle":
+            if (typeof value !== "object" || value === null || Array.isArray(value)) {
+                return `${key}: expected an object of event type -> policy, got ${describeValue(value)}`;
+            }
+            for (const [type, policy] of Object.entries(value)) {
+                if (!OSC_ADDRESS_MAP[type]) return `${key}.${type}: unknown event type`;
+                if (typeof policy !== "object" || policy === null || (policy.mode !== "rate" && policy.mode !== "trailing")) {
+                    return `${key}.${type}: expected { mode: "rate" | "trailing", interval, minDelta }`;
+                }
+                if (typeof policy.interval !== "number" || !Number.isInteger(policy.interval) || policy.interval < 0) {
+                    return `${key}.${type}.interval: expected a whole number of milliseconds >= 0, got ${describeValue(policy.interval)}`;
+                }
+                if (policy.minDelta !== undefined && (typeof policy.minDelta !== "number" || !Number.isFinite(policy.minDelta) || policy.minDelta < 0)) {
+                    return `${key}.${type}.minDelta: expected a number >= 0, got ${describeValue(policy.minDelta)}`;
+                }
+            }
+            return null;
+
+        case "trackFilters":
+            if (!Array.isArray(value)) return `${key}: expected a list of rules, got ${describeValue(value)}`;
+            for (let index = 0; index < value.length; index++) {
+                const error = trackFilterError(value[index]);
+                if (error) return `${key}[${index}].${error}`;
+            }
+            return null;
+
+        case "logCategories":
+            if (typeof value !== "object" || value === null || Array.isArray(value)) {
+                return `${key}: expected an object of category -> level, got ${describeValue(value)}`;
+            }
+            for (const [category, level] of Object.entries(value)) {
+                if (!LOG_CATEGORIES.includes(category)) return `${key}.${category}: unknown category`;
+                if (!LOG_LEVELS.includes(level)) {
+                    return `${key}.${category}: expected one of ${LOG_LEVELS.join(", ")}, got ${describeValue(level)}`;
+                }
+            }
+            return null;
+
+        default:
+            return null;
+    }
+}
+
+// Max delivers numbers as numbers and words as symbols - turn a message
+// argument into the type the setting expects before it is validated
+function coerceSetting(key, value) {
+    const schema = CONFIG_SCHEMA[key];
+    if (!schema) return value;
+
+    switch (schema.type) {
+        case "integer":
+            return typeof value === "string" && value.trim() !== "" && !isNaN(Number(value)) ? Number(value) : value;
+        case "boolean":
+            if (value === "true" || value === "on" || value === "1") return true;
+            if (value === "false" || value === "off" || value === "0") return false;
+            return value === 1 || value === 0 ? Boolean(value) : value;
+        case "string":
+            return typeof value === "number" ? String(value) : value;
+        default:
+            return value;
+    }
+}
+
+function formatSetting(value) {
+    if (typeof value === "boolean") return value ? "on" : "off";
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+// Error text for an OSC address override, null when it is valid
+function oscAddressError(type, address) {
+    if (!OSC_ADDRESS_MAP[type]) return `oscAddresses.${type}: unknown event type`;
+    if (typeof address !== "string" || !address.startsWith("/")) {
+        return `oscAddresses.${type}: expected an address starting with '/', got ${describeValue(address)}`;
+    }
+    return null;
+}
+
+// Every problem in a saved configuration document, so they can all be fixed at once
+function validateConfigDocument(document) {
+    if (typeof document !== "object" || document === null || Array.isArray(document)) {
+        return ["expected a JSON object"];
+    }
+
+    const errors = [];
+    if (document.version !== undefined && document.version !== CONFIG_FORMAT_VERSION) {
+        errors.push(`version: expected ${CONFIG_FORMAT_VERSION}, got ${describeValue(document.version)}`);
+    }
+
+    const settings = document.config;
+    if (typeof settings !== "object" || settings === null || Array.isArray(settings)) {
+        errors.push("config: expected an object of settings");
+    } else {
+        for (const [key, value] of Object.entries(settings)) {
+            const error = settingError(key, value);
+            if (error) errors.push(error);
+        }
+    }
+
+    const addresses = document.oscAddresses;
+    if (addresses !== undefined) {
+        if (typeof addresses !== "object" || addresses === null || Array.isArray(addresses)) {
+            errors.push("oscAddresses: expected an object of event type -> address");
+        } else {
+            for (const [type, address] of Object.entries(addresses)) {
+                const error = oscAddressError(type, address);
+                if (error) errors.push(error);
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Delay before a failed periodic status query is tried again
+const STATUS_RETRY_DELAY = 500;
+
+class LiveAPIMonitor {
+    constructor() {
+        this.observers = new Set();
+        this.displayTask = null;
+        this.retryTask = null;
+        this.isActive = false;
+        this.config = {
+            updateInterval: 3000,
+            maxTracks: 8,
+            maxClips: 8,
+            maxScenes: 32,
+            followSelection: true, // Re-target selected-track observers when the selection changes
+            deviceMonitoring: true, // Observe every parameter of the selected track's devices
+            maxDeviceParameters: 64,
+            rackMonitoring: true, // Walk rack chains, drum pads and macros of the selected track
+            maxRackDepth: 4,
+            sendMonitoring: "all", // "all" tracks, "selected" track only, or "off"
+            noteMonitoring: false, // Diff the notes of playing MIDI clips when they are edited
+            enablePeriodicDisplay: true, // Can be toggled for less verbose output
+            retryFailedQueries: true,
+            consoleOutput: true, // Human readable event text in the Max console
+            structuredOutput: true, // Structured event messages on outlet 0
+            eventFormat: "list", // "list" atoms or "json" string per event
+            journalMaxBytes: 5000000, // Rotate the session journal once a file reaches this size
+            midiExportPpq: 480, // Ticks per beat in exported MIDI files
+            midiExportBaseNote: 36, // Note for clip slot 1 in exported MIDI files
+            oscEnabled: false,
+            oscHost: "127.0.0.1",
+            oscPort: 9000,
+            oscPrefix: "/live",
+            oscFormat: "bytes", // "bytes" raw OSC packets or "message" for [udpsend]
+            throttle: defaultThrottlePolicies(), // Event type -> { mode: "rate" | "trailing", interval ms, minDelta }
+            trackFilters: [], // { action: "include" | "exclude", field, pattern } - which tracks are observed
+            logLevel: "info", // Console verbosity for categories without their own level
+            logCategories: {}, // Category -> level overriding logLevel
+            logToError: false // Warnings and errors through error() so they show in red
+        };
+        this.log = new Logger(this.config);
+
+        // Last value seen per observed property, used to report old/new pairs
+        this.lastValues = new Map();
+        // While the observers are first set up their reports are the current
+        // state, collected here and published as a single initial_state event
+        this.initialSync = false;
+        this.initialSnapshot = new Map();
+        // Additional event consumers registered by other subsystems
+        this.eventSinks = [];
+        this.songTimeAPI = null;
+        // Observed tempo and signature changes for bar/beat and clock positions
+        this.timeline = new SongTimeline();
+        // Rate limiting of high-rate observers, per observed property
+        this.throttle = new EventThrottle();
+        // Clip observers by track id -> { trackIndex, slots: clip slot id -> { clipIndex, observers } }
+        this.clipTracks = new Map();
+        // Scene observers by scene id -> { sceneIndex, name, tempo, color, observers }
+        this.scenes = new Map();
+        this.playingScene = null;
+        // Observers that watch the selected track, re-targeted when following the selection
+        this.selectedTrackObservers = [];
+        this.selectionObserver = null;
+        this.selectedTrackId = null;
+        this.rebinding = false;
+        // The selected track is left out by the track filters - its mixer and device events are dropped
+        this.selectedTrackExcluded = false;
+        // Devices of the selected track -> { deviceId, deviceIndex, name, className, isActive, parameters, observers }
+        this.devices = [];
+        this.disabledDevices = new Set();
+        // Nested device tree of the selected track and the observers on its chains and macros
+        this.deviceTree = [];
+        this.rackObservers = [];
+        // Arrangement locators by cue point id -> { cueId, cueIndex, name, time, observers }
+        this.cuePoints = new Map();
+        // Locator the playhead is currently past, null before the first one
+        this.currentSection = null;
+        this.sectionKnown = false;
+        // Send observers and the track/return layout they were built for
+        this.sendObservers = [];
+        this.sendLayout = { tracks: [], returnCount: 0 };
+        // Name/color observers of every track while filter rules depend on them
+        this.filterFieldObservers = [];
+        this.refilterTask = null;
+        this.journal = new EventJournal(this.config.journalMaxBytes);
+        this.journalSink = null;
+        this.replayTask = null;
+        this.replayState = null;
+
+        this.osc = new OscPublisher(this.config);
+        this.eventSinks.push(event => this.osc.publish(event));
+
+        // Clip launch history for MIDI export, kept across stop/start until cleared
+        this.performance = new PerformanceRecorder(this.config);
+        this.eventSinks.push(event => this.performance.record(event));
+
+        // Track connection health for adaptive behavior
+        this.connectionHealth = {
+            transportQueries: 0,
+            transportSuccess: 0,
+            sessionQueries: 0,
+            sessionSuccess: 0,
+            retries: 0,
+            recovered: 0
+        };
+
+        this.log.info("lifecycle", "Live API Monitor V8 Enhanced - Reliability improvements loaded");
+    }
+
+    startMonitoring() {
+        if (this.isActive) {
+            this.log.warn("lifecycle", "=== ALREADY MONITORING - Use stop() first ===");
+            return;
+        }
+
+        this.log.info("lifecycle", "=== LIVE API DATA EXPLORER V8 ENHANCED STARTED ===");
+        this.log.info("lifecycle", "Event-driven monitoring with robust error handling");
+        this.log.info("lifecycle", "");
+
+        this.isActive = true;
+        this.initializeAllSystems();
+    }
+
+    stopMonitoring() {
+        if (!this.isActive) {
+            this.log.warn("lifecycle", "=== NOT CURRENTLY MONITORING ===");
+            return;
+        }
+
+        this.log.info("lifecycle", "=== STOPPING ALL MONITORING ===");
+        this.performCleanup();
+        this.isActive = false;
+
+        // Display final connection health statistics
+        this.displayConnectionHealth(line => this.log.info("health", line));
+    }
+
+    restartMonitoring() {
+        this.stopMonitoring();
+        const restartTask = new Task(() => this.startMonitoring());
+        restartTask.schedule(100);
+    }
+
+    showStatus() {
+        post(`=== MONITORING STATUS: ${this.isActive ? 'ACTIVE' : 'STOPPED'} ===`);
+        post(`Active observers: ${this.observers.size}`);
+        post(`Periodic display: ${this.config.enablePeriodicDisplay ? 'ENABLED' : 'DISABLED'}`);
+        post(`Update interval: ${this.config.updateInterval}ms`);
+
+        if (this.isActive) {
+            // Show recent connection health
+            const { transportQueries, transportSuccess, sessionQueries, sessionSuccess } = this.connectionHealth;
+            const transportRate = transportQueries > 0 ? ((transportSuccess / transportQueries) * 100).toFixed(1) : 'N/A';
+            const sessionRate = sessionQueries > 0 ? ((sessionSuccess / sessionQueries) * 100).toFixed(1) : 'N/A';
+
+            post(`Connection Health - Transport: ${transportRate}%, Session: ${sessionRate}%`);
+        }
+
+        this.showRecordingStatus();
+
+        if (this.replayState) {
+            const { filePath, index, events, speed } = this.replayState;
+            post(`Replay: ${filePath} at ${speed}x (${index}/${events.length} events)`);
+        }
+    }
+
+    performCleanup() {
+        for (const observer of this.observers) {
+            try {
+                if (observer && typeof observer.close === 'function') {
+                    observer.close();
+                }
+            } catch (error) {
+                // Silently handle cleanup errors
+            }
+        }
+        this.observers.clear();
+        this.clipTracks.clear();
+        this.scenes.clear();
+        this.playingScene = null;
+        this.selectedTrackObservers = [];
+        this.selectionObserver = null;
+        this.selectedTrackId = null;
+        this.selectedTrackExcluded = false;
+        this.devices = [];
+        this.deviceTree = [];
+        this.rackObservers = [];
+        this.sendObservers = [];
+        this.sendLayout = { tracks: [], returnCount: 0 };
+        this.filterFieldObservers = [];
+        this.cuePoints.clear();
+        this.currentSection = null;
+        this.sectionKnown = false;
+        this.lastValues.clear();
+        this.initialSync = false;
+        this.initialSnapshot.clear();
+        this.songTimeAPI = null;
+        this.timeline.clear();
+        this.throttle.discard();
+
+        if (this.retryTask) {
+            this.retryTask.cancel();
+            this.retryTask = null;
+        }
+
+        if (this.refilterTask) {
+            this.refilterTask.cancel();
+            this.refilterTask = null;
+        }
+
+        if (this.displayTask) {
+            this.displayTask.cancel();
+            this.displayTask = null;
+        }
+    }
+
+    initializeAllSystems() {
+        const { maxTracks, maxClips } = this.config;
+        this.initialSync = true;
+        this.initialSnapshot.clear();
+        this.updateSelectedTrackExclusion();
+
+        // Initialize event-driven monitoring (these work reliably)
+        this.setupTransportMonitoring();
+        this.setupTempoMonitoring();
+        this.setupTrackMonitoring();
+        this.setupParameterMonitoring();
+        this.setupDeviceMonitoring();
+        this.setupReturnAndMasterMonitoring();
+        this.setupSendMonitoring();
+
+        // Initialize clip monitoring with enhanced error handling
+        this.setupEnhancedClipMonitoring(maxTracks, maxClips);
+        this.setupSceneMonitoring();
+        this.setupCuePointMonitoring();
+
+        // Keep clip and scene observers in step with tracks and scenes being edited
+        this.setupStructureMonitoring();
+
+        this.initialSync = false;
+        this.publishInitialState();
+
+        // Initialize periodic display with graceful degradation
+        if (this.config.enablePeriodicDisplay) {
+            this.createRobustPeriodicDisplay();
+        }
+
+        this.log.info("lifecycle", "All monitoring systems initialized with enhanced reliability");
+    }
+
+    // Everything the observers reported while starting up, with the latest
+    // value per observed property, as one event instead of a burst of changes
+    publishInitialState() {
+        if (!this.isActive) return;
+        const values = Array.from(this.initialSnapshot.values());
+        this.initialSnapshot.clear();
+        this.publishEvent("initial_state", "live_set", "initial_state", values.length, { values });
+    }
+
+    // Every observer callback funnels its change through here so the same event
+    // reaches the outlet, the console formatter and any registered sinks
+    // Events of throttled types go through their observer's rate limit first
+    // The start-up reports only collect the current state, and a value equal to
+    // the last one observed (or still waiting in the throttle) is not a change
+    emitEvent(type, path, property, newValue, details = {}) {
+        const valueKey = `${path} ${property}`;
+        const policy = this.config.throttle[type];
+        if (this.selectedTrackExcluded && path.startsWith("live_set view selected_track")) return null;
+        if (this.initialSync && type !== "status") {
+            if (policy) this.throttle.seed(valueKey, newValue);
+            this.lastValues.set(valueKey, newValue);
+            this.initialSnapshot.set(valueKey, { type, path, property, value: newValue, details });
+            return null;
+        }
+        if (!UNDEDUPLICATED_EVENT_TYPES.has(type)) {
+            const observedValue = this.throttle.hasPending(valueKey) ? this.throttle.pendingValue(valueKey) : this.lastValues.get(valueKey);
+            if (this.lastValues.has(valueKey) && sameValue(observedValue, newValue)) {
+                this.log.trace(eventLogCategory(type), `Unchanged ${valueKey}: ${formatSetting(newValue)}`);
+                return null;
+            }
+        }
+
+        if (!policy) {
+            return this.publishEvent(type, path, property, newValue, details);
+        }
+
+        // Delivered events keep the time the value was observed, not the time the throttle let it through
+        const observed = { wallTime: Date.now(), songTime: this.getSongTime() };
+        this.throttle.submit(valueKey, policy, newValue, () => {
+            if (!this.isActive || sameValue(this.lastValues.get(valueKey), newValue)) return;
+            this.publishEvent(type, path, property, newValue, details, observed);
+        });
+        return null;
+    }
+
+    publishEvent(type, path, property, newValue, details, observed = null) {
+        const valueKey = `${path} ${property}`;
+        const oldValue = this.lastValues.has(valueKey) ? this.lastValues.get(valueKey) : null;
+        this.lastValues.set(valueKey, newValue);
+
+        const songTime = observed ? observed.songTime : this.getSongTime();
+        const event = {
+            type,
+            path,
+            property,
+            oldValue,
+            newValue,
+            wallTime: observed ? observed.wallTime : Date.now(),
+            songTime,
+            songPosition: this.timeline.toBarsBeats(songTime),
+            songClock: this.timeline.toClock(songTime),
+            details
+        };
+
+        this.dispatchEvent(event);
+        return event;
+    }
+
+    dispatchEvent(event) {
+        if (this.config.structuredOutput) {
+            this.outputEvent(event);
+        }
+
+        const category = eventLogCategory(event.type);
+        if (this.config.consoleOutput && this.log.enabled("info", category)) {
+            this.formatEvent(event).forEach(line => this.log.info(category, line));
+        }
+
+        for (const sink of this.eventSinks) {
+            try {
+                sink(event);
+            } catch (error) {
+                // A failing sink must never break the observer callbacks
+            }
+        }
+    }
+
+    outputEvent(event) {
+        const { type, path, oldValue, newValue, wallTime, songTime, songPosition, details } = event;
+
+        try {
+            if (this.config.eventFormat === "json") {
+                outlet(0, type, JSON.stringify(event));
+            } else if (typeof details.display === "string") {
+                // Parameters also carry Live's display text, e.g. "-6.0 dB" or "25L"
+                outlet(0, type, path, toAtom(oldValue), toAtom(newValue), wallTime, toAtom(songTime), toAtom(songPosition),
+                    details.display);
+            } else {
+                outlet(0, type, path, toAtom(oldValue), toAtom(newValue), wallTime, toAtom(songTime), toAtom(songPosition));
+            }
+        } catch (error) {
+            // Outlet unavailable (e.g. during patcher teardown)
+        }
+    }
+
+    getSongTime() {
+        try {
+            if (!this.songTimeAPI) {
+                this.songTimeAPI = new LiveAPI(null, "live_set");
+            }
+            const songTime = parseFloat(this.songTimeAPI.get("current_song_time"));
+            return !isNaN(songTime) ? songTime : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Console text for an event - one entry per posted line
+    formatEvent(event) {
+        const { type, newValue, details } = event;
+
+        switch (type) {
+            case "transport":
+                return [`=== TRANSPORT: ${newValue ? 'PLAYING' : 'STOPPED'} ===`];
+
+            case "tempo":
+                return [`=== TEMPO: ${newValue.toFixed(1)} BPM ===`];
+
+            case "signature":
+                return [`=== TIME SIGNATURE: ${newValue} ===`];
+
+            case "loop":
+            case "loop_start":
+            case "loop_length":
+            case "metronome":
+            case "record_mode":
+            case "session_record":
+            case "overdub":
+            case "arrangement_overdub":
+            case "punch_in":
+            case "punch_out":
+            case "nudge":
+                return [`>>> ${details.label.toUpperCase()}: ${details.display}`];
+
+            case "initial_state":
+                return this.formatInitialState(newValue, details.values);
+
+            case "selected_track":
+                return [`=== SELECTED TRACK: ${newValue}${details.label ? ` (${details.label})` : ''} ===`];
+
+            case "selection_changed":
+                return [
+                    `=== SELECTED TRACK: ${newValue}${details.label ? ` (${details.label})` : ''} ===`,
+                    `    Volume: ${details.volumeDisplay || 'unknown'} | Pan: ${details.panDisplay || 'unknown'}`
+                ];
+
+            case "track_info":
+                return [
+                    `    Color: ${details.color} | Status: ${newValue}`,
+                    `    Devices: ${details.deviceCount !== null ? details.deviceCount : 'unknown'}`
+                ];
+
+            case "volume":
+                return [`>>> VOLUME: ${details.display || this.formatVolume(newValue)}`];
+
+            case "pan":
+                return [`>>> PAN: ${details.display || this.formatPan(newValue)}`];
+
+            case "devices":
+                return [`=== DEVICES ON ${details.trackName}: ${details.devices.length} ===`]
+                    .concat(this.formatDeviceList(details.devices));
+
+            case "device_active":
+                return [`>>> DEVICE ${details.deviceIndex + 1} (${details.name}): ${newValue ? 'ON' : 'OFF'}`];
+
+            case "device_parameter":
+                return [`>>> DEVICE ${details.deviceIndex + 1} (${details.deviceName}) ${details.parameterName}: ` +
+                    `${details.display !== null ? details.display : newValue} [${details.min} .. ${details.max}]`];
+
+            case "device_tree":
+                return [`=== DEVICE TREE OF ${details.trackName}: ${newValue} racks ===`]
+                    .concat(this.formatDeviceTree(details.tree));
+
+            case "chain_mute":
+                return [`>>> ${details.kind === "pad" ? 'PAD' : 'CHAIN'} ${details.label}: ${newValue ? 'MUTED' : 'UNMUTED'}`];
+
+            case "chain_solo":
+                return [`>>> ${details.kind === "pad" ? 'PAD' : 'CHAIN'} ${details.label}: ${newValue ? 'SOLO' : 'SOLO OFF'}`];
+
+            case "chain_volume":
+                return [`>>> CHAIN ${details.label} VOLUME: ${details.display || this.formatVolume(newValue)}`];
+
+            case "rack_macro":
+                return [`>>> MACRO ${details.label} > ${details.macroName}: ${details.display !== null ? details.display : newValue}`];
+
+            case "send":
+                return [`>>> SEND ${details.trackName !== null ? details.trackName : 'selected track'} -> ` +
+                    `${details.returnLabel} (${details.returnName}): ${details.display}`];
+
+            case "return_volume":
+                return [`>>> ${details.label.toUpperCase()} (${details.name}) VOLUME: ${details.display || this.formatVolume(newValue)}`];
+
+            case "return_pan":
+                return [`>>> ${details.label.toUpperCase()} (${details.name}) PAN: ${details.display || this.formatPan(newValue)}`];
+
+            case "return_mute":
+                return [`>>> ${details.label.toUpperCase()} (${details.name}) ${firstValue(newValue) ? 'MUTED' : 'UNMUTED'}`];
+
+            case "master_volume":
+                return [`>>> MASTER VOLUME: ${details.display || this.formatVolume(newValue)}`];
+
+            case "master_pan":
+                return [`>>> MASTER PAN: ${details.display || this.formatPan(newValue)}`];
+
+            case "crossfader":
+                return [`>>> MASTER CROSSFADER: ${details.display || this.formatPan(newValue)}`];
+
+            case "cue_volume":
+                return [`>>> MASTER CUE VOLUME: ${details.display || this.formatVolume(newValue)}`];
+
+            case "clip_launched":
+            case "clip_stopped": {
+                const action = type === "clip_launched" ? "LAUNCHED" : "STOPPED";
+                const lines = [`>>> CLIP ${action}: ${this.formatClip(details)}`];
+                return type === "clip_launched" && details.clip ? lines.concat(this.formatClipInfo(details.clip)) : lines;
+            }
+
+            case "clip_notes":
+                return [`=== NOTES: ${this.formatClip(details)}: ${details.notes.length} notes ===`]
+                    .concat(details.notes.map(note => `    ${this.formatNote(note)}`));
+
+            case "notes_changed":
+                return [`>>> NOTES CHANGED: ${this.formatClip(details)}: ` +
+                    `+${details.added.length} -${details.removed.length} ~${details.changed.length}`]
+                    .concat(details.added.map(note => `    + ${this.formatNote(note)}`))
+                    .concat(details.removed.map(note => `    - ${this.formatNote(note)}`))
+                    .concat(details.changed.map(({ before, after }) => `    ~ ${this.formatNote(before)} -> ${this.formatNote(after)}`));
+
+            case "clip_triggered":
+                return [`>>> CLIP TRIGGERED: Track ${details.trackIndex + 1}, Clip ${details.clipIndex + 1} (waiting)`];
+
+            case "scene_triggered":
+                return [`>>> SCENE TRIGGERED: ${this.formatScene(details)} (waiting)`];
+
+            case "scene_launched":
+                return [`=== SCENE LAUNCHED: ${this.formatScene(details)}${details.tempo !== null ? ` @ ${details.tempo.toFixed(1)} BPM` : ''} ===`];
+
+            case "scene_changed":
+                return [`>>> SCENE ${details.sceneIndex + 1} ${event.property.toUpperCase()}: ${newValue !== null ? newValue : 'none'}`];
+
+            case "selected_scene":
+                return [`=== SELECTED SCENE: ${details.sceneIndex !== null ? this.formatScene(details) : 'none'} ===`];
+
+            case "cue_point_added":
+                return [`>>> LOCATOR ADDED: "${details.name}" at ${details.position}`];
+
+            case "cue_point_removed":
+                return [`>>> LOCATOR REMOVED: "${details.name}" (was at ${details.position})`];
+
+            case "cue_point_renamed":
+                return [`>>> LOCATOR RENAMED: "${event.oldValue}" -> "${details.name}" at ${details.position}`];
+
+            case "cue_point_moved":
+                return [`>>> LOCATOR "${details.name}" MOVED TO ${details.position}`];
+
+            case "section_changed":
+                return [`=== SECTION: ${newValue !== null ? newValue : '(before the first locator)'} ===`];
+
+            case "tracks_changed":
+                return [`=== TRACKS CHANGED: ${newValue} tracks (${details.added} added, ${details.removed} removed, ${details.moved} moved) ===`];
+
+            case "scenes_changed":
+                return [`=== SCENES CHANGED: ${newValue} scenes (${details.added} clip slots added, ${details.removed} removed) ===`];
+
+            case "status":
+                return this.formatStatusBlock(newValue);
+
+            default:
+                return [`>>> ${type.toUpperCase()}: ${toAtom(newValue)}`];
+        }
+    }
+
+    formatDeviceList(devices) {
+        return devices.map(device =>
+            `    ${device.deviceIndex + 1}. ${device.name} (${device.className}) ${device.isActive ? 'ON' : 'OFF'}` +
+            ` | ${device.parameterCount} parameters${device.enabled ? '' : ' | monitoring disabled'}`
+        );
+    }
+
+    formatDeviceTree(nodes, depth = 1) {
+        const indent = "    ".repeat(depth);
+        let lines = [];
+
+        for (const node of nodes) {
+            lines.push(`${indent}${node.name} (${node.className})`);
+            for (const pad of node.drumPads) {
+                lines.push(`${indent}  [Pad ${pad.note}] ${pad.name}`);
+                for (const chain of pad.chains) {
+                    lines.push(`${indent}    - ${chain.name}`);
+                    lines = lines.concat(this.formatDeviceTree(chain.devices, depth + 2));
+                }
+            }
+            for (const chain of node.chains.concat(node.returnChains)) {
+                lines.push(`${indent}  - ${chain.name}${node.returnChains.includes(chain) ? ' (return)' : ''}`);
+                lines = lines.concat(this.formatDeviceTree(chain.devices, depth + 1));
+            }
+        }
+
+        return lines;
+    }
+
+    // A summary of the start-up state rather than one line per observed value
+    formatInitialState(count, values) {
+        const latest = (type) => {
+            const entries = values.filter(entry => entry.type === type);
+            return entries.length > 0 ? entries[entries.length - 1] : null;
+        };
+        const transport = latest("transport");
+        const tempo = latest("tempo");
+        const signature = latest("signature");
+        const track = latest("selected_track");
+        const volume = latest("volume");
+        const pan = latest("pan");
+        const scene = latest("selected_scene");
+        const section = latest("section_changed");
+        const playing = values.filter(entry => entry.type === "clip_launched");
+        const countOf = (type) => values.filter(entry => entry.type === type).length;
+
+        const lines = [
+            `=== INITIAL STATE: ${count} observed values ===`,
+            `    Transport: ${transport ? (firstValue(transport.value) ? 'PLAYING' : 'STOPPED') : 'unknown'}` +
+                ` | Tempo: ${tempo ? `${parseFloat(firstValue(tempo.value)).toFixed(1)} BPM` : 'unknown'}` +
+                ` | Signature: ${signature ? signature.value : 'unknown'}`,
+            `    Selected track: ${track ? track.value : 'unknown'}` +
+                ` | Volume: ${volume ? volume.details.display || this.formatVolume(volume.value) : 'unknown'}` +
+                ` | Pan: ${pan ? pan.details.display || this.formatPan(pan.value) : 'unknown'}`,
+            `    Selected scene: ${scene && scene.details.sceneIndex !== null ? this.formatScene(scene.details) : 'none'}` +
+                ` | Section: ${section && section.value !== null ? section.value : 'none'}`,
+            `    Scenes: ${countOf("scene_changed")} | Locators: ${countOf("cue_point_added")}` +
+                ` | Device parameters: ${countOf("device_parameter")} | Sends: ${countOf("send")}`
+        ];
+        if (playing.length === 0) {
+            lines.push("    Playing clips: none");
+        } else {
+            lines.push(`    Playing clips: ${playing.length}`);
+            playing.forEach(entry => lines.push(`      ${this.formatClip(entry.details)}`));
+        }
+        return lines;
+    }
+
+    formatScene(details) {
+        return `Scene ${details.sceneIndex + 1}${details.name ? ` "${details.name}"` : ''}`;
+    }
+
+    // Fallbacks for events that arrive without Live's display string
+    formatVolume(volume) {
+        return liveVolumeDisplay(firstValue(volume));
+    }
+
+    formatPan(pan) {
+        return livePanDisplay(firstValue(pan));
+    }
+
+    formatStatusBlock(statusInfo) {
+        // Display whatever information we successfully gathered
+        const lines = ["", "=============== ENHANCED SESSION STATUS ==============="];
+
+        if (statusInfo.transport !== null) {
+            lines.push(`Transport: ${statusInfo.transport ? 'PLAYING' : 'STOPPED'}`);
+        } else {
+            lines.push("Transport: Status unavailable");
+        }
+
+        if (statusInfo.tempo !== null) {
+            lines.push(`Tempo: ${statusInfo.tempo.toFixed(1)} BPM`);
+        } else {
+            lines.push("Tempo: Information unavailable");
+        }
+
+        if (statusInfo.songTime !== null) {
+            lines.push(`Position: ${this.timeline.toBarsBeats(statusInfo.songTime)} | ` +
+                `${this.timeline.toClock(statusInfo.songTime)} (${statusInfo.songTime.toFixed(2)} beats)`);
+        } else {
+            lines.push("Position: Timing unavailable");
+        }
+
+        if (statusInfo.transportExtras) {
+            const extras = statusInfo.transportExtras;
+            const onOff = (property) => extras[property] ? 'ON' : 'OFF';
+            const signature = extras.signature ? `${extras.signature.numerator}/${extras.signature.denominator}` : 'unknown';
+            const nudge = extras.nudge_up ? 'UP' : extras.nudge_down ? 'DOWN' : 'OFF';
+
+            lines.push(`Signature: ${signature} | Metronome: ${onOff("metronome")}`);
+            lines.push(`Loop: ${onOff("loop")} (${this.timeline.toDuration(extras.loop_length, extras.loop_start)} ` +
+                `from ${this.timeline.toBarsBeats(extras.loop_start)})`);
+            lines.push(`Record: ${onOff("record_mode")} | Session Record: ${onOff("session_record")} | ` +
+                `Overdub: ${onOff("overdub")} | Arrangement Overdub: ${onOff("arrangement_overdub")}`);
+            lines.push(`Punch In: ${onOff("punch_in")} | Punch Out: ${onOff("punch_out")} | Nudge: ${nudge}`);
+        }
+
+        if (statusInfo.playingScene) {
+            lines.push(`Playing: ${this.formatScene(statusInfo.playingScene)}`);
+        }
+
+        if (statusInfo.section) {
+            lines.push(`Section: ${statusInfo.section.name} (from ${statusInfo.section.position})`);
+        } else if (statusInfo.locatorCount > 0) {
+            lines.push("Section: none (before the first locator)");
+        }
+
+        if (statusInfo.trackName !== null) {
+            lines.push(`Selected: ${statusInfo.trackName}${statusInfo.trackLabel ? ` (${statusInfo.trackLabel})` : ''}`);
+            if (statusInfo.trackState !== null) {
+                lines.push(`Track State: ${statusInfo.trackState}`);
+            }
+            if (statusInfo.trackVolume !== null) {
+                lines.push(`Mixer: ${statusInfo.trackVolume} | Pan ${statusInfo.trackPan}`);
+            }
+        } else {
+            lines.push("Track: Information unavailable");
+        }
+
+        lines.push("=====================================================");
+        return lines;
+    }
+
+    setupTransportMonitoring() {
+        const transportCallback = (args) => {
+            if (!this.isActive) return;
+            const [, isPlaying] = args;
+            this.emitEvent("transport", "live_set", "is_playing", isPlaying ? 1 : 0);
+        };
+
+        try {
+            const transportAPI = new LiveAPI(propertyCallback(transportCallback), "live_set");
+            transportAPI.property = "is_playing";
+            this.observers.add(transportAPI);
+        } catch (error) {
+            this.log.warn("transport", "Warning: Could not set up transport monitoring");
+        }
+
+        this.setupTransportExtrasMonitoring();
+    }
+
+    // Time signature, loop region, metronome, record/overdub/punch switches and nudge
+    setupTransportExtrasMonitoring() {
+        const signatureCallback = () => {
+            if (!this.isActive) return;
+            const signature = this.readSignature();
+            const value = signature ? `${signature.numerator}/${signature.denominator}` : null;
+            // Numerator and denominator both report when the signature is changed as a whole
+            if (!signature || this.lastValues.get("live_set signature") === value) return;
+            this.timeline.setSignature(this.getSongTime(), signature.numerator, signature.denominator);
+            this.emitEvent("signature", "live_set", "signature", value, signature);
+        };
+
+        for (const property of ["signature_numerator", "signature_denominator"]) {
+            try {
+                const signatureAPI = new LiveAPI(propertyCallback(signatureCallback), "live_set");
+                signatureAPI.property = property;
+                this.observers.add(signatureAPI);
+            } catch (error) {
+                this.log.warn("transport", "Warning: Could not set up time signature monitoring");
+            }
+        }
+
+        for (const extra of TRANSPORT_EXTRAS) {
+            const callback = (args) => {
+                if (!this.isActive) return;
+                const value = extra.beats ? parseFloat(args[1]) : (args[1] ? 1 : 0);
+                const details = { label: extra.label, display: this.formatTransportExtra(extra, value) };
+                if (extra.type === "nudge") details.direction = extra.property === "nudge_up" ? "up" : "down";
+                this.emitEvent(extra.type, "live_set", extra.property, value, details);
+            };
+
+            try {
+                const extraAPI = new LiveAPI(propertyCallback(callback), "live_set");
+                extraAPI.property = extra.property;
+                this.observers.add(extraAPI);
+            } catch (error) {
+                this.log.warn("transport", `Warning: Could not set up ${extra.label.toLowerCase()} monitoring`);
+            }
+        }
+    }
+
+    readSignature() {
+        try {
+            const songAPI = new LiveAPI(null, "live_set");
+            const numerator = parseInt(songAPI.get("signature_numerator"));
+            const denominator = parseInt(songAPI.get("signature_denominator"));
+            return !isNaN(numerator) && !isNaN(denominator) ? { numerator, denominator } : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    formatTransportExtra(extra, value) {
+        if (!extra.beats) return value ? "ON" : "OFF";
+        if (isNaN(value)) return "unknown";
+
+        // Loop start as a position, loop length as bars.beats.sixteenths counted from zero
+        const position = extra.type === "loop_start"
+            ? this.timeline.toBarsBeats(value)
+            : this.timeline.toDuration(value, parseFloat(this.lastValues.get("live_set loop_start")) || 0);
+        return `${position} (${value.toFixed(2)} beats)`;
+    }
+
+    setupTempoMonitoring() {
+        const tempoCallback = (args) => {
+            if (!this.isActive) return;
+            const [, tempo] = args;
+            this.timeline.setTempo(this.getSongTime(), tempo);
+            this.emitEvent("tempo", "live_set", "tempo", tempo);
+        };
+
+        try {
+            const tempoAPI = new LiveAPI(propertyCallback(tempoCallback), "live_set");
+            tempoAPI.property = "tempo";
+            this.observers.add(tempoAPI);
+        } catch (error) {
+            this.log.warn("tempo", "Warning: Could not set up tempo monitoring");
+        }
+    }
+
+    setupTrackMonitoring() {
+        const trackCallback = (args) => {
+            if (!this.isActive) return;
+            const [, trackName] = args;
+            if (this.absorbRebindValue("live_set view selected_track", "name", trackName)) return;
+            this.emitEvent("selected_track", "live_set view selected_track", "name", trackName, this.describeSelectedTrack());
+
+            // Use robust track analysis with error handling
+            this.analyzeCurrentTrackSafely();
+        };
+
+        try {
+            const trackAPI = new LiveAPI(propertyCallback(trackCallback), "live_set view selected_track");
+            trackAPI.property = "name";
+            this.observers.add(trackAPI);
+            this.selectedTrackObservers.push({ api: trackAPI, childPath: "", property: "name" });
+        } catch (error) {
+            this.log.warn("track", "Warning: Could not set up track monitoring");
+        }
+
+        if (this.config.followSelection) {
+            this.setupSelectionFollowing();
+        }
+    }
+
+    // LiveAPI objects stay on the object they first resolved to, so observers
+    // created from "live_set view selected_track ..." keep watching the old
+    // track. In follow-selection mode they are re-targeted on every selection
+    // change instead.
+    setupSelectionFollowing() {
+        const selectionCallback = (args) => {
+            if (!this.isActive) return;
+            const [trackId] = parseIdList(args.slice(1));
+            this.followSelectedTrack(trackId);
+        };
+
+        try {
+            const selectionAPI = new LiveAPI(propertyCallback(selectionCallback), "live_set view");
+            selectionAPI.property = "selected_track";
+            this.observers.add(selectionAPI);
+            this.selectionObserver = selectionAPI;
+        } catch (error) {
+            this.log.warn("track", "Warning: Could not set up selection following");
+        }
+    }
+
+    followSelectedTrack(trackId) {
+        if (trackId === undefined || trackId === 0) return;
+
+        // The initial callback only establishes the current selection
+        const previousTrackId = this.selectedTrackId;
+        this.selectedTrackId = trackId;
+        if (previousTrackId === null) {
+            this.lastValues.set("live_set view selected_track name", this.readSelectedTrackValue("", "name"));
+            return;
+        }
+        if (previousTrackId === trackId) return;
+
+        this.retargetSelectedTrackObservers();
+        this.updateSelectedTrackExclusion();
+
+        const trackName = this.readSelectedTrackValue("", "name");
+        const volume = this.readSelectedTrackValue("mixer_device volume", "value");
+        const pan = this.readSelectedTrackValue("mixer_device panning", "value");
+
+        // Values read after re-binding become the baseline for the next change
+        this.lastValues.set("live_set view selected_track name", trackName);
+        this.lastValues.set("live_set view selected_track mixer_device volume value", volume);
+        this.lastValues.set("live_set view selected_track mixer_device panning value", pan);
+
+        this.emitEvent("selection_changed", "live_set view", "selected_track", trackName,
+            Object.assign(this.describeSelectedTrack(), {
+                trackId,
+                previousTrackId,
+                volume,
+                pan,
+                volumeDisplay: volume !== null ? this.mixerDisplay(this.selectedTrackObserverAPI("mixer_device volume"), volume, "volume") : null,
+                panDisplay: pan !== null ? this.mixerDisplay(this.selectedTrackObserverAPI("mixer_device panning"), pan, "pan") : null
+            }));
+
+        this.analyzeCurrentTrackSafely();
+
+        if (this.config.deviceMonitoring) {
+            this.rebuildDeviceMonitoring();
+        }
+    }
+
+    retargetSelectedTrackObservers() {
+        // Values still waiting in a throttle belong to the previous track
+        this.throttle.flushAll("live_set view selected_track");
+        this.rebinding = true;
+        for (const { api, childPath } of this.selectedTrackObservers) {
+            try {
+                const targetAPI = new LiveAPI(null, `live_set view selected_track${childPath ? ` ${childPath}` : ''}`);
+                if (targetAPI.id !== 0 && targetAPI.id !== api.id) api.id = targetAPI.id;
+            } catch (error) {
+                // Leave this observer where it was
+            }
+        }
+        this.rebinding = false;
+    }
+
+    readSelectedTrackValue(childPath, property) {
+        try {
+            const valueAPI = new LiveAPI(null, `live_set view selected_track${childPath ? ` ${childPath}` : ''}`);
+            if (valueAPI.id === 0) return null;
+            const value = valueAPI.get(property);
+            return Array.isArray(value) && value.length === 1 ? value[0] : value;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Values reported while observers are being re-targeted describe the new
+    // track, not a change - keep them as the baseline and report nothing
+    absorbRebindValue(path, property, value) {
+        if (!this.rebinding) return false;
+        this.lastValues.set(`${path} ${property}`, value);
+        return true;
+    }
+
+    setFollowSelection(enabled) {
+        this.config.followSelection = Boolean(Number(enabled));
+        this.log.info("track", `Follow selection ${this.config.followSelection ? 'ENABLED' : 'DISABLED'}`);
+        this.applySetting("followSelection");
+    }
+
+    // Work out whether the selected track is a regular, return or master track
+    describeSelectedTrack() {
+        const description = { kind: "track", label: null, returnIndex: null };
+
+        try {
+            const trackAPI = new LiveAPI(null, "live_set view selected_track");
+            if (trackAPI.id === 0) return description;
+
+            const masterAPI = new LiveAPI(null, "live_set master_track");
+            if (masterAPI.id === trackAPI.id) {
+                return { kind: "master", label: "Master", returnIndex: null };
+            }
+
+            const songAPI = new LiveAPI(null, "live_set");
+            const returnCount = songAPI.getcount("return_tracks");
+            for (let returnIndex = 0; returnIndex < returnCount; returnIndex++) {
+                const returnAPI = new LiveAPI(null, `live_set return_tracks ${returnIndex}`);
+                if (returnAPI.id === trackAPI.id) {
+                    return { kind: "return", label: `Return ${returnLetter(returnIndex)}`, returnIndex };
+                }
+            }
+        } catch (error) {
+            // Fall back to treating it as a regular track
+        }
+
+        return description;
+    }
+
+    setupReturnAndMasterMonitoring() {
+        if (!this.isActive) return;
+
+        this.log.debug("mixer", "=== Setting up return and master track monitoring ===");
+
+        let returnCount = 0;
+        try {
+            const songAPI = new LiveAPI(null, "live_set");
+            returnCount = songAPI.getcount("return_tracks");
+        } catch (error) {
+            this.log.warn("mixer", "Could not determine return track count");
+        }
+
+        for (let returnIndex = 0; returnIndex < returnCount; returnIndex++) {
+            this.createReturnTrackObservers(returnIndex);
+        }
+
+        const masterPath = "live_set master_track mixer_device";
+        const masterParameters = [
+            { type: "master_volume", child: "volume", label: "volume" },
+            { type: "master_pan", child: "panning", label: "pan" },
+            { type: "crossfader", child: "crossfader", label: "crossfader" },
+            { type: "cue_volume", child: "cue_volume", label: "cue volume" }
+        ];
+
+        for (const { type, child, label } of masterParameters) {
+            const parameterPath = `${masterPath} ${child}`;
+            let parameterAPI = null;
+            const callback = (args) => {
+                if (!this.isActive) return;
+                const [, value] = args;
+                this.emitEvent(type, parameterPath, "value", value, {
+                    label: "Master",
+                    display: this.mixerDisplay(parameterAPI, value, child === "panning" || child === "crossfader" ? "pan" : "volume")
+                });
+            };
+
+            try {
+                parameterAPI = new LiveAPI(propertyCallback(callback), parameterPath);
+                if (parameterAPI.id === 0) continue;
+                parameterAPI.property = "value";
+                this.observers.add(parameterAPI);
+            } catch (error) {
+                this.log.warn("mixer", `Warning: Could not set up master ${label} monitoring`);
+            }
+        }
+
+        this.log.debug("mixer", `Return/master monitoring active for ${returnCount} return tracks and the master track`);
+    }
+
+    createReturnTrackObservers(returnIndex) {
+        const trackPath = `live_set return_tracks ${returnIndex}`;
+        const label = `Return ${returnLetter(returnIndex)}`;
+        let trackName = label;
+
+        const details = () => ({ returnIndex, label, name: trackName });
+
+        const nameCallback = (args) => {
+            const [, name] = args;
+            trackName = Array.isArray(name) ? name.join(" ") : String(name);
+        };
+
+        const observed = [
+            { type: "return_volume", path: `${trackPath} mixer_device volume`, property: "value", kind: "volume" },
+            { type: "return_pan", path: `${trackPath} mixer_device panning`, property: "value", kind: "pan" },
+            { type: "return_mute", path: trackPath, property: "mute", kind: null }
+        ];
+
+        try {
+            const nameAPI = new LiveAPI(propertyCallback(nameCallback), trackPath);
+            if (nameAPI.id === 0) return;
+            nameAPI.property = "name";
+            this.observers.add(nameAPI);
+
+            for (const { type, path, property, kind } of observed) {
+                let observerAPI = null;
+                const callback = (args) => {
+                    if (!this.isActive) return;
+                    const [, value] = args;
+                    const eventDetails = details();
+                    if (kind) eventDetails.display = this.mixerDisplay(observerAPI, value, kind);
+                    this.emitEvent(type, path, property, value, eventDetails);
+                };
+                observerAPI = new LiveAPI(propertyCallback(callback), path);
+                observerAPI.property = property;
+                this.observers.add(observerAPI);
+            }
+        } catch (error) {
+            this.log.warn("mixer", `Warning: Could not set up monitoring for ${label}`);
+        }
+    }
+
+    analyzeCurrentTrackSafely() {
+        if (!this.isActive) return;
+
+        try {
+            const trackAPI = new LiveAPI(null, "live_set view selected_track");
+            if (trackAPI.id === 0) return;
+
+            // Query each property individually with error handling
+            const trackInfo = {};
+
+            try { trackInfo.color = trackAPI.get("color"); } catch (e) { trackInfo.color = "unknown"; }
+            try { trackInfo.muted = trackAPI.get("mute"); } catch (e) { trackInfo.muted = false; }
+            try { trackInfo.soloed = trackAPI.get("solo"); } catch (e) { trackInfo.soloed = false; }
+            try { trackInfo.armed = trackAPI.get("arm"); } catch (e) { trackInfo.armed = false; }
+            try { trackInfo.devices = trackAPI.get("devices"); } catch (e) { trackInfo.devices = []; }
+
+            // Format output based on successfully retrieved information
+            const { color, muted, soloed, armed, devices } = trackInfo;
+            const statusParts = [];
+            if (muted) statusParts.push("MUTED");
+            if (soloed) statusParts.push("SOLO");
+            if (armed) statusParts.push("ARMED");
+            if (statusParts.length === 0) statusParts.push("AUDIBLE");
+
+            this.emitEvent("track_info", "live_set view selected_track", "info", statusParts.join(" | "), {
+                color,
+                deviceCount: Array.isArray(devices) ? parseIdList(devices).length : null
+            });
+
+        } catch (error) {
+            this.log.warn("track", "Track analysis temporarily unavailable");
+        }
+    }
+
+    setupParameterMonitoring() {
+        if (!this.isActive) return;
+
+        let volumeAPI = null;
+        let panAPI = null;
+
+        this.log.debug("mixer", "=== Setting up parameter monitoring ===");
+
+        const volumeCallback = (args) => {
+            if (!this.isActive) return;
+            const [, volume] = args;
+            if (this.absorbRebindValue("live_set view selected_track mixer_device volume", "value", volume)) return;
+            this.emitEvent("volume", "live_set view selected_track mixer_device volume", "value", volume, {
+                display: this.mixerDisplay(volumeAPI, volume, "volume")
+            });
+        };
+
+        const panCallback = (args) => {
+            if (!this.isActive) return;
+            const [, pan] = args;
+            if (this.absorbRebindValue("live_set view selected_track mixer_device panning", "value", pan)) return;
+            this.emitEvent("pan", "live_set view selected_track mixer_device panning", "value", pan, {
+                display: this.mixerDisplay(panAPI, pan, "pan")
+            });
+        };
+
+        try {
+            volumeAPI = new LiveAPI(propertyCallback(volumeCallback), "live_set view selected_track mixer_device volume");
+            volumeAPI.property = "value";
+            this.observers.add(volumeAPI);
+            this.selectedTrackObservers.push({ api: volumeAPI, childPath: "mixer_device volume", property: "value" });
+        } catch (error) {
+            this.log.warn("mixer", "Warning: Could not set up volume monitoring");
+        }
+
+        try {
+            panAPI = new LiveAPI(propertyCallback(panCallback), "live_set view selected_track mixer_device panning");
+            panAPI.property = "value";
+            this.observers.add(panAPI);
+            this.selectedTrackObservers.push({ api: panAPI, childPath: "mixer_device panning", property: "value" });
+        } catch (error) {
+            this.log.warn("mixer", "Warning: Could not set up pan monitoring");
+        }
+    }
+
+    setupDeviceMonitoring() {
+        if (!this.isActive || !this.config.deviceMonitoring) return;
+        // Already observing the device list - 'devices 1' while enabled changes nothing
+        if (this.selectedTrackObservers.some(entry => entry.property === "devices")) return;
+
+        this.log.debug("track", "=== Setting up device parameter monitoring ===");
+
+        // Rebuild whenever devices are added, removed or reordered on the track
+        const devicesCallback = (args) => {
+            if (!this.isActive || this.rebinding) return;
+            const deviceIds = parseIdList(args.slice(1));
+            const knownIds = this.devices.map(device => device.deviceId);
+            if (deviceIds.length === knownIds.length && deviceIds.every((id, index) => id === knownIds[index])) return;
+            this.rebuildDeviceMonitoring();
+        };
+
+        try {
+            const devicesAPI = new LiveAPI(propertyCallback(devicesCallback), "live_set view selected_track");
+            devicesAPI.property = "devices";
+            this.observers.add(devicesAPI);
+            this.selectedTrackObservers.push({ api: devicesAPI, childPath: "", property: "devices" });
+        } catch (error) {
+            this.log.warn("track", "Warning: Could not set up device monitoring");
+        }
+    }
+
+    rebuildDeviceMonitoring() {
+        for (const device of this.devices) {
+            this.releaseDeviceObservers(device);
+        }
+        this.devices = [];
+        this.releaseObservers(this.rackObservers);
+        this.rackObservers = [];
+        this.deviceTree = [];
+
+        // No device observers for a track the filters leave out
+        if (this.selectedTrackExcluded) return;
+
+        let trackName = null;
+        let deviceIds = [];
+        try {
+            const trackAPI = new LiveAPI(null, "live_set view selected_track");
+            if (trackAPI.id === 0) return;
+            trackName = oscText(trackAPI.get("name"));
+            deviceIds = parseIdList(trackAPI.get("devices"));
+        } catch (error) {
+            this.log.warn("track", "Device list temporarily unavailable");
+            return;
+        }
+
+        deviceIds.forEach((deviceId, deviceIndex) => {
+            const device = this.createDeviceObservers(deviceId, deviceIndex);
+            if (device) this.devices.push(device);
+        });
+
+        this.emitEvent("devices", "live_set view selected_track", "devices", this.devices.map(device => device.name), {
+            trackName,
+            devices: this.devices.map(device => this.deviceDetails(device))
+        });
+
+        if (this.config.rackMonitoring) {
+            this.rebuildRackMonitoring(trackName);
+        }
+    }
+
+    deviceDetails(device) {
+        const { deviceIndex, name, className, isActive, parameters } = device;
+        return {
+            deviceIndex,
+            name,
+            className,
+            isActive,
+            parameterCount: parameters.length,
+            enabled: !this.disabledDevices.has(device.deviceId)
+        };
+    }
+
+    releaseDeviceObservers(device) {
+        this.releaseObservers(device.activeObserver ? device.observers.concat(device.activeObserver) : device.observers);
+        device.activeObserver = null;
+        device.observers = [];
+    }
+
+    createDeviceObservers(deviceId, deviceIndex) {
+        const device = {
+            deviceId,
+            deviceIndex,
+            name: "",
+            className: "",
+            isActive: true,
+            macroCount: 0,
+            parameters: [],
+            activeObserver: null,
+            observers: [] // parameter observers, dropped while the device is disabled
+        };
+
+        try {
+            const deviceAPI = new LiveAPI(null, `id ${deviceId}`);
+            if (deviceAPI.id === 0) return null;
+            device.name = oscText(deviceAPI.get("name"));
+            device.className = oscText(deviceAPI.get("class_name"));
+            device.isActive = Boolean(Number(firstValue(deviceAPI.get("is_active"))));
+            device.macroCount = this.readMacroCount(deviceAPI);
+        } catch (error) {
+            return null;
+        }
+
+        const devicePath = `live_set view selected_track devices ${deviceIndex}`;
+        let activeReported = false;
+        const activeCallback = (args) => {
+            const isActive = Boolean(Number(args[1]));
+            const wasActive = device.isActive;
+            device.isActive = isActive;
+
+            // The first report is the current state, not a change
+            if (!activeReported) {
+                activeReported = true;
+                return;
+            }
+            if (!this.isActive || this.rebinding || isActive === wasActive) return;
+            this.emitEvent("device_active", devicePath, "is_active", isActive ? 1 : 0, this.deviceDetails(device));
+        };
+
+        try {
+            const activeAPI = new LiveAPI(propertyCallback(activeCallback), `id ${deviceId}`);
+            activeAPI.property = "is_active";
+            this.observers.add(activeAPI);
+            device.activeObserver = activeAPI;
+        } catch (error) {
+            // Device state changes will not be reported
+        }
+
+        if (!this.disabledDevices.has(deviceId)) {
+            this.observeDeviceParameters(device);
+        } else {
+            device.parameters = this.readDeviceParameterIds(device);
+        }
+
+        return device;
+    }
+
+    readDeviceParameterIds(device) {
+        try {
+            const deviceAPI = new LiveAPI(null, `id ${device.deviceId}`);
+            return parseIdList(deviceAPI.get("parameters")).slice(0, this.config.maxDeviceParameters);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    observeDeviceParameters(device) {
+        device.parameters = this.readDeviceParameterIds(device);
+
+        device.parameters.forEach((parameterId, parameterIndex) => {
+            // Rack macros are reported by the rack walker with their nested path
+            if (this.config.rackMonitoring && parameterIndex >= 1 && parameterIndex <= device.macroCount) return;
+
+            const parameterPath = `live_set view selected_track devices ${device.deviceIndex} parameters ${parameterIndex}`;
+            const parameter = { name: "", min: 0, max: 1 };
+            let reported = false;
+            let parameterAPI = null;
+
+            const valueCallback = (args) => {
+                const [, value] = args;
+
+                // The first report is the current value, not a change - at
+                // start-up it goes into the initial state
+                if (!reported) {
+                    reported = true;
+                    if (!this.initialSync) {
+                        this.lastValues.set(`${parameterPath} value`, value);
+                        return;
+                    }
+                }
+                if (!this.isActive || this.rebinding) return;
+
+                let display = null;
+                try {
+                    display = oscText(parameterAPI.call("str_for_value", value));
+                } catch (error) {
+                    // Display string unavailable for this parameter
+                }
+
+                this.emitEvent("device_parameter", parameterPath, "value", value, {
+                    deviceIndex: device.deviceIndex,
+                    deviceName: device.name,
+                    parameterIndex,
+                    parameterName: parameter.name,
+                    display,
+                    min: parameter.min,
+                    max: parameter.max
+                });
+            };
+
+            try {
+                parameterAPI = new LiveAPI(propertyCallback(valueCallback), `id ${parameterId}`);
+                if (parameterAPI.id === 0) return;
+                parameter.name = oscText(parameterAPI.get("name"));
+                parameter.min = Number(firstValue(parameterAPI.get("min")));
+                parameter.max = Number(firstValue(parameterAPI.get("max")));
+                parameterAPI.property = "value";
+                this.observers.add(parameterAPI);
+                device.observers.push(parameterAPI);
+            } catch (error) {
+                // Skip parameters that cannot be observed
+            }
+        });
+    }
+
+    // Racks expose up to 16 macros; older Live versions always show 8
+    readMacroCount(deviceAPI) {
+        try {
+            if (!Number(firstValue(deviceAPI.get("can_have_chains")))) return 0;
+            const visibleMacros = Number(firstValue(deviceAPI.get("visible_macro_count")));
+            return visibleMacros > 0 ? visibleMacros : 8;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    // Rack traversal - builds the nested device tree of the selected track and
+    // observes chain mute/solo/volume and rack macros along the way
+    rebuildRackMonitoring(trackName) {
+        this.deviceTree = this.devices.map(device =>
+            this.walkDevice(`live_set view selected_track devices ${device.deviceIndex}`, [trackName], 0)
+        ).filter(node => node !== null);
+
+        const rackCount = this.countRackNodes(this.deviceTree);
+        if (rackCount === 0) return;
+
+        this.emitEvent("device_tree", "live_set view selected_track", "devices", rackCount, {
+            trackName,
+            tree: this.deviceTree
+        });
+    }
+
+    countRackNodes(nodes) {
+        let count = 0;
+        for (const node of nodes) {
+            if (node.isRack) count++;
+            for (const chain of node.chains.concat(node.returnChains)) {
+                count += this.countRackNodes(chain.devices);
+            }
+            for (const pad of node.drumPads) {
+                for (const chain of pad.chains) {
+                    count += this.countRackNodes(chain.devices);
+                }
+            }
+        }
+        return count;
+    }
+
+    walkDevice(devicePath, labelPath, depth) {
+        let deviceAPI = null;
+        const node = { path: devicePath, name: "", className: "", isRack: false, chains: [], returnChains: [], drumPads: [] };
+
+        try {
+            deviceAPI = new LiveAPI(null, devicePath);
+            if (deviceAPI.id === 0) return null;
+            node.name = oscText(deviceAPI.get("name"));
+            node.className = oscText(deviceAPI.get("class_name"));
+            node.isRack = Boolean(Number(firstValue(deviceAPI.get("can_have_chains"))));
+        } catch (error) {
+            return null;
+        }
+
+        if (!node.isRack) return node;
+
+        // observeDeviceParameters leaves the macros of top-level racks to the
+        // walk, so they are observed even with maxRackDepth 0
+        const label = labelPath.concat(node.name);
+        if (depth === 0 || depth < this.config.maxRackDepth) {
+            this.observeRackMacros(deviceAPI, devicePath, label);
+        }
+        if (depth >= this.config.maxRackDepth) return node;
+
+        // Drum rack chains hang off their pads; walking both would list them twice
+        let hasDrumPads = false;
+        try {
+            hasDrumPads = Boolean(Number(firstValue(deviceAPI.get("can_have_drum_pads"))));
+        } catch (error) {
+            // Rack disappeared mid-walk - no pads
+        }
+        if (hasDrumPads) {
+            node.drumPads = this.walkDrumPads(deviceAPI, devicePath, label, depth);
+        } else {
+            node.chains = this.walkChains(deviceAPI, devicePath, "chains", label, depth);
+        }
+        node.returnChains = this.walkChains(deviceAPI, devicePath, "return_chains", label, depth);
+
+        return node;
+    }
+
+    walkChains(parentAPI, parentPath, listName, labelPath, depth) {
+        const chains = [];
+        let chainCount = 0;
+        try {
+            chainCount = parentAPI.getcount(listName);
+        } catch (error) {
+            return chains;
+        }
+
+        for (let chainIndex = 0; chainIndex < chainCount; chainIndex++) {
+            const chainPath = `${parentPath} ${listName} ${chainIndex}`;
+            try {
+                const chainAPI = new LiveAPI(null, chainPath);
+                if (chainAPI.id === 0) continue;
+
+                const name = oscText(chainAPI.get("name"));
+                const label = labelPath.concat(listName === "return_chains" ? `${name} (return)` : name);
+                this.observeChain(chainPath, label, "chain");
+
+                const devices = [];
+                const deviceCount = chainAPI.getcount("devices");
+                for (let deviceIndex = 0; deviceIndex < deviceCount; deviceIndex++) {
+                    const child = this.walkDevice(`${chainPath} devices ${deviceIndex}`, label, depth + 1);
+                    if (child) devices.push(child);
+                }
+
+                chains.push({ path: chainPath, name, devices });
+            } catch (error) {
+                // Skip chains that disappeared mid-walk
+            }
+        }
+
+        return chains;
+    }
+
+    walkDrumPads(rackAPI, rackPath, labelPath, depth) {
+        const pads = [];
+        let padCount = 0;
+        try {
+            padCount = parseIdList(rackAPI.get("drum_pads")).length;
+        } catch (error) {
+            return pads;
+        }
+
+        for (let padIndex = 0; padIndex < padCount; padIndex++) {
+            const padPath = `${rackPath} drum_pads ${padIndex}`;
+            try {
+                const padAPI = new LiveAPI(null, padPath);
+                // Empty pads carry no chains and are not worth an observer
+                if (padAPI.id === 0 || padAPI.getcount("chains") === 0) continue;
+
+                const note = Number(firstValue(padAPI.get("note")));
+                const name = oscText(padAPI.get("name"));
+                const label = labelPath.concat(`Pad ${note} ${name}`.trim());
+                this.observeChain(padPath, label, "pad");
+
+                pads.push({ path: padPath, note, name, chains: this.walkChains(padAPI, padPath, "chains", label, depth) });
+            } catch (error) {
+                // Skip pads that cannot be read
+            }
+        }
+
+        return pads;
+    }
+
+    // Observe a property, treating the first report as the baseline rather than a change
+    createChangeObserver(path, property, registry, onChange) {
+        let reported = false;
+        const callback = (args) => {
+            const value = args.length > 2 ? args.slice(1) : args[1];
+            // The first report is the current value: part of the initial state
+            // at start-up, a silent baseline for observers created later
+            if (!reported) {
+                reported = true;
+                if (!this.initialSync) {
+                    this.lastValues.set(`${path} ${property}`, value);
+                    return;
+                }
+            }
+            if (!this.isActive || this.absorbRebindValue(path, property, value)) return;
+            onChange(value);
+        };
+
+        try {
+            const observerAPI = new LiveAPI(propertyCallback(callback), path);
+            if (observerAPI.id === 0) return null;
+            observerAPI.property = property;
+            this.observers.add(observerAPI);
+            registry.push(observerAPI);
+            return observerAPI;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    observeChain(chainPath, label, kind) {
+        const details = { label: label.join(" > "), kind };
+
+        this.createChangeObserver(chainPath, "mute", this.rackObservers, (value) =>
+            this.emitEvent("chain_mute", chainPath, "mute", Number(value) ? 1 : 0, details));
+        this.createChangeObserver(chainPath, "solo", this.rackObservers, (value) =>
+            this.emitEvent("chain_solo", chainPath, "solo", Number(value) ? 1 : 0, details));
+
+        // Drum pads have no mixer of their own - their chains do
+        if (kind === "chain") {
+            const volumePath = `${chainPath} mixer_device volume`;
+            let volumeAPI = null;
+            volumeAPI = this.createChangeObserver(volumePath, "value", this.rackObservers, (value) =>
+                this.emitEvent("chain_volume", volumePath, "value", value,
+                    Object.assign({ display: this.mixerDisplay(volumeAPI, value, "volume") }, details)));
+        }
+    }
+
+    observeRackMacros(rackAPI, rackPath, label) {
+        const macroCount = this.readMacroCount(rackAPI);
+
+        for (let macroIndex = 1; macroIndex <= macroCount; macroIndex++) {
+            const macroPath = `${rackPath} parameters ${macroIndex}`;
+            let macroName = `Macro ${macroIndex}`;
+            try {
+                macroName = oscText(new LiveAPI(null, macroPath).get("name"));
+            } catch (error) {
+                // Keep the generic name
+            }
+
+            let macroAPI = null;
+            macroAPI = this.createChangeObserver(macroPath, "value", this.rackObservers, (value) => {
+                let display = null;
+                try {
+                    display = oscText(macroAPI.call("str_for_value", value));
+                } catch (error) {
+                    // Display string unavailable
+                }
+                this.emitEvent("rack_macro", macroPath, "value", value, {
+                    label: label.join(" > "),
+                    macroIndex,
+                    macroName,
+                    display
+                });
+            });
+        }
+    }
+
+    showDeviceTree(rescan) {
+        if (!this.isActive || !this.config.deviceMonitoring || !this.config.rackMonitoring) {
+            this.log.warn("track", "Rack monitoring needs active monitoring with 'devices 1' and rackMonitoring enabled");
+            return;
+        }
+
+        // Chains added inside racks are only picked up by a rescan
+        if (rescan) {
+            this.rebuildDeviceMonitoring();
+            return;
+        }
+
+        if (this.deviceTree.length === 0) {
+            this.log.info("track", "No devices on the selected track");
+            return;
+        }
+        this.formatDeviceTree(this.deviceTree).forEach(line => this.log.info("track", line));
+    }
+
+    // Per-device enable/disable of parameter observers (deviceNumber is 1-based)
+    setDeviceEnabled(deviceNumber, enabled) {
+        const targets = deviceNumber === "all" ? this.devices : [this.devices[Number(deviceNumber) - 1]];
+        if (targets.length === 0 || !targets[0]) {
+            this.log.warn("track", `No device ${deviceNumber} on the selected track - send 'devices' to list them`);
+            return;
+        }
+
+        const enable = Boolean(Number(enabled));
+        for (const device of targets) {
+            const wasEnabled = !this.disabledDevices.has(device.deviceId);
+            if (enable === wasEnabled) continue;
+
+            if (enable) {
+                this.disabledDevices.delete(device.deviceId);
+                if (this.isActive) this.observeDeviceParameters(device);
+            } else {
+                this.disabledDevices.add(device.deviceId);
+                // The is_active observer stays, so the device still reports on/off
+                this.releaseObservers(device.observers);
+                device.observers = [];
+            }
+            this.log.info("track", `Device ${device.deviceIndex + 1} (${device.name}) parameter monitoring ${enable ? 'ENABLED' : 'DISABLED'}`);
+        }
+    }
+
+    setDeviceMonitoring(enabled) {
+        this.config.deviceMonitoring = Boolean(Number(enabled));
+        this.log.info("track", `Device parameter monitoring ${this.config.deviceMonitoring ? 'ENABLED' : 'DISABLED'}`);
+        this.applySetting("deviceMonitoring");
+    }
+
+    showDevices() {
+        if (!this.config.deviceMonitoring) {
+            this.log.info("track", "Device parameter monitoring is DISABLED - send 'devices 1' to enable");
+            return;
+        }
+        if (this.devices.length === 0) {
+            this.log.info("track", "No devices monitored on the selected track");
+            return;
+        }
+        this.formatDeviceList(this.devices.map(device => this.deviceDetails(device))).forEach(line => this.log.info("track", line));
+    }
+
+    setupSendMonitoring() {
+        if (!this.isActive || this.config.sendMonitoring === "off") return;
+
+        this.log.debug("mixer", "=== Setting up send monitoring ===");
+        this.rebuildSendMonitoring();
+        this.log.debug("mixer", `Send monitoring active for ${this.sendObservers.length} sends (${this.config.sendMonitoring} tracks)`);
+    }
+
+    // tracks: the filtered track list when the caller has just computed it
+    rebuildSendMonitoring(tracks = null) {
+        this.releaseObservers(this.sendObservers);
+        this.sendObservers = [];
+        this.selectedTrackObservers = this.selectedTrackObservers.filter(entry => !entry.childPath.startsWith("mixer_device sends"));
+        this.sendLayout = { tracks: [], returnCount: 0 };
+
+        if (this.config.sendMonitoring === "off") return;
+
+        // Sends are labelled with the return track they feed
+        const returnNames = [];
+        try {
+            const songAPI = new LiveAPI(null, "live_set");
+            const returnCount = songAPI.getcount("return_tracks");
+            for (let returnIndex = 0; returnIndex < returnCount; returnIndex++) {
+                returnNames.push(oscText(new LiveAPI(null, `live_set return_tracks ${returnIndex}`).get("name")));
+            }
+            this.sendLayout.returnCount = returnCount;
+
+            if (this.config.sendMonitoring === "all") {
+                this.sendLayout.tracks = tracks || this.filterTracks(parseIdList(songAPI.get("tracks")));
+            }
+        } catch (error) {
+            this.log.warn("mixer", "Could not read return tracks - send monitoring unavailable");
+            return;
+        }
+
+        if (this.config.sendMonitoring === "selected") {
+            returnNames.forEach((returnName, sendIndex) => {
+                const childPath = `mixer_device sends ${sendIndex}`;
+                const sendAPI = this.createSendObserver(`live_set view selected_track ${childPath}`, null, sendIndex, returnName);
+                if (sendAPI) this.selectedTrackObservers.push({ api: sendAPI, childPath, property: "value" });
+            });
+            return;
+        }
+
+        this.sendLayout.tracks.forEach(({ trackIndex }) => {
+            returnNames.forEach((returnName, sendIndex) => {
+                this.createSendObserver(`live_set tracks ${trackIndex} mixer_device sends ${sendIndex}`, trackIndex, sendIndex, returnName);
+            });
+        });
+    }
+
+    createSendObserver(sendPath, trackIndex, sendIndex, returnName) {
+        const trackPath = trackIndex === null ? "live_set view selected_track" : `live_set tracks ${trackIndex}`;
+        let sendAPI = null;
+
+        sendAPI = this.createChangeObserver(sendPath, "value", this.sendObservers, (value) => {
+            let trackName = null;
+            try {
+                trackName = oscText(new LiveAPI(null, trackPath).get("name"));
+            } catch (error) {
+                // Report the send without its track name
+            }
+
+            this.emitEvent("send", sendPath, "value", value, {
+                trackIndex,
+                trackName,
+                sendIndex,
+                returnName,
+                returnLabel: `Return ${returnLetter(sendIndex)}`,
+                display: this.mixerDisplay(sendAPI, value, "volume")
+            });
+        });
+
+        return sendAPI;
+    }
+
+    // Re-targeted observer of a selected-track property, null when there is none
+    selectedTrackObserverAPI(childPath) {
+        const entry = this.selectedTrackObservers.find(candidate => candidate.childPath === childPath);
+        return entry ? entry.api : null;
+    }
+
+    // Live's own display string for a mixer value, or the local dB/pan approximation.
+    // Callbacks pass their own observer so a fader sweep creates no LiveAPI objects
+    mixerDisplay(parameterAPI, value, kind) {
+        try {
+            if (!parameterAPI) throw new Error("no parameter");
+            const display = oscText(parameterAPI.call("str_for_value", firstValue(value)));
+            if (display && display !== "undefined") return display;
+        } catch (error) {
+            // Fall back to the local curve
+        }
+        return kind === "pan" ? livePanDisplay(firstValue(value)) : liveVolumeDisplay(firstValue(value));
+    }
+
+    setSendMonitoring(mode) {
+        if (settingError("sendMonitoring", mode)) {
+            this.log.error("mixer", "Send monitoring must be 'all', 'selected' or 'off'");
+            return;
+        }
+
+        this.config.sendMonitoring = mode;
+        this.log.info("mixer", `Send monitoring: ${mode.toUpperCase()}`);
+        this.applySetting("sendMonitoring");
+    }
+
+    setupEnhancedClipMonitoring(maxTracks, maxClips) {
+        if (!this.isActive) return;
+
+        this.log.debug("clip", "=== Setting up enhanced clip monitoring ===");
+
+        // Use robust track counting with fallback
+        let trackCount = 0;
+        try {
+            const songAPI = new LiveAPI(null, "live_set");
+            trackCount = Math.min(songAPI.getcount("tracks"), maxTracks);
+        } catch (error) {
+            this.log.warn("clip", "Could not determine track count - using fallback method");
+            // Fallback: try to determine track count by testing individual tracks
+            for (let i = 0; i < maxTracks; i++) {
+                try {
+                    const testAPI = new LiveAPI(null, `live_set tracks ${i}`);
+                    if (testAPI.id !== 0) {
+                        trackCount = i + 1;
+                    } else {
+                        break;
+                    }
+                } catch (e) {
+                    break;
+                }
+            }
+        }
+
+        if (trackCount === 0) {
+            this.log.warn("clip", "No tracks detected for clip monitoring");
+            return;
+        }
+
+        this.log.debug("clip", `Setting up clip monitoring for ${trackCount} tracks`);
+
+        // The track filters pick the tracks whenever the track list can be read
+        let trackIds = null;
+        try {
+            trackIds = parseIdList(new LiveAPI(null, "live_set").get("tracks"));
+        } catch (error) {
+            // Bind by index below
+        }
+
+        if (trackIds) {
+            this.rebindClipTracks(this.filterTracks(trackIds));
+        } else {
+            for (let trackIndex = 0; trackIndex < trackCount; trackIndex++) {
+                this.bindClipTrack(trackIndex);
+            }
+        }
+
+        const filtered = this.config.trackFilters.length > 0 ? ` (${this.config.trackFilters.length} track filter rules)` : '';
+        this.log.debug("clip", `Clip monitoring active for ${this.clipTracks.size} tracks, ${maxClips} clips each${filtered}`);
+    }
+
+    // Track filters - which tracks get clip, send and device observers
+    readTrackFilterInfo(trackPath) {
+        const trackAPI = new LiveAPI(null, trackPath);
+        const read = (property) => {
+            try {
+                return firstValue(trackAPI.get(property));
+            } catch (error) {
+                return null;
+            }
+        };
+
+        let group = null;
+        if (read("is_grouped")) {
+            try {
+                const groupId = parseIdList(trackAPI.get("group_track"))[0];
+                if (groupId) group = oscText(new LiveAPI(null, `id ${groupId}`).get("name"));
+            } catch (error) {
+                // Treat it as ungrouped
+            }
+        }
+
+        return {
+            name: oscText(trackAPI.get("name")),
+            color: Number(read("color")),
+            type: read("has_midi_input") ? "midi" : "audio",
+            group,
+            foldable: Boolean(read("is_foldable"))
+        };
+    }
+
+    // The first maxTracks tracks that pass the filters, with their index in the set
+    filterTracks(trackIds) {
+        const rules = this.config.trackFilters;
+        const tracks = [];
+        for (let trackIndex = 0; trackIndex < trackIds.length && tracks.length < this.config.maxTracks; trackIndex++) {
+            const trackId = trackIds[trackIndex];
+            try {
+                if (rules.length > 0 && !trackPassesFilters(this.readTrackFilterInfo(`id ${trackId}`), rules)) continue;
+            } catch (error) {
+                continue; // Unreadable tracks are left out while filtering
+            }
+            tracks.push({ trackId, trackIndex });
+        }
+        return tracks;
+    }
+
+    // Return and master tracks are never filtered
+    // Renaming or recoloring a track (or renaming a group) can change what the
+    // rules select, so the fields they depend on are observed on every track
+    syncFilterFieldObservers(trackIds) {
+        this.releaseObservers(this.filterFieldObservers);
+        this.filterFieldObservers = [];
+
+        const fields = new Set(this.config.trackFilters.map(rule => rule.field));
+        const properties = [];
+        if (fields.has("name") || fields.has("group")) properties.push("name");
+        if (fields.has("color")) properties.push("color");
+        if (properties.length === 0) return;
+
+        for (const trackId of trackIds) {
+            for (const property of properties) {
+                this.createChangeObserver(`id ${trackId}`, property, this.filterFieldObservers, () => this.scheduleTrackRefilter());
+            }
+        }
+    }
+
+    // A burst of edits, e.g. recoloring a selection of tracks, re-filters once
+    scheduleTrackRefilter() {
+        if (this.initialSync || this.refilterTask) return;
+        this.refilterTask = new Task(() => {
+            this.refilterTask = null;
+            if (this.isActive) this.applySetting("trackFilters");
+        });
+        this.refilterTask.schedule(100);
+    }
+
+    updateSelectedTrackExclusion() {
+        this.selectedTrackExcluded = false;
+        if (this.config.trackFilters.length === 0 || this.describeSelectedTrack().kind !== "track") return;
+
+        try {
+            const trackAPI = new LiveAPI(null, "live_set view selected_track");
+            if (trackAPI.id === 0) return;
+            this.selectedTrackExcluded = !trackPassesFilters(this.readTrackFilterInfo("live_set view selected_track"), this.config.trackFilters);
+        } catch (error) {
+            // Keep observing the selected track
+        }
+    }
+
+    configureTrackFilter(action, field, pattern) {
+        switch (action) {
+            case "include":
+            case "exclude": {
+                const rule = { action, field, pattern: typeof pattern === "number" ? pattern : String(pattern) };
+                const error = trackFilterError(rule);
+                if (error) {
+                    this.log.error("track", `Invalid filter rule - ${error}`);
+                    post("Usage: filter <include|exclude> <name|color|type|group|foldable> <pattern>");
+                    return;
+                }
+                this.config.trackFilters = this.config.trackFilters.concat([rule]);
+                this.log.info("track", `Track filter ${this.config.trackFilters.length} added: ${formatTrackFilter(rule)}`);
+                break;
+            }
+
+            case "remove": {
+                const index = parseInt(field, 10) - 1;
+                if (isNaN(index) || index < 0 || index >= this.config.trackFilters.length) {
+                    this.log.warn("track", `No track filter ${field} - send 'filter' to list them`);
+                    return;
+                }
+                const [rule] = this.config.trackFilters.splice(index, 1);
+                this.log.info("track", `Track filter removed: ${formatTrackFilter(rule)}`);
+                break;
+            }
+
+            case "clear":
+                this.config.trackFilters = [];
+                this.log.info("track", "Track filters cleared - the first maxTracks tracks are observed");
+                break;
+
+            case "apply":
+                // Names, colors and groups are read again when the rules are applied
+                break;
+
+            case undefined:
+                this.showTrackFilters();
+                return;
+
+            default:
+                post("Usage: filter [include|exclude <field> <pattern> | remove <n> | clear | apply]");
+                return;
+        }
+
+        this.applySetting("trackFilters");
+    }
+
+    showTrackFilters() {
+        const rules = this.config.trackFilters;
+        post(`=== TRACK FILTERS: ${rules.length} ===`);
+        rules.forEach((rule, index) => post(`    ${index + 1}. ${formatTrackFilter(rule)}`));
+
+        try {
+            const trackIds = parseIdList(new LiveAPI(null, "live_set").get("tracks"));
+            const observed = this.filterTracks(trackIds);
+            post(`Observed tracks: ${observed.length} of ${trackIds.length} (max ${this.config.maxTracks})`);
+            observed.forEach(({ trackId, trackIndex }) => {
+                post(`    ${trackIndex + 1}. ${oscText(new LiveAPI(null, `id ${trackId}`).get("name"))}`);
+            });
+        } catch (error) {
+            post("Track list unavailable");
+        }
+    }
+
+    // Clip observers are grouped per track and per clip slot, keyed by Live
+    // object id, so list changes can add, drop or re-index them individually
+    bindClipTrack(trackIndex) {
+        let trackId = 0;
+        try {
+            trackId = Number(new LiveAPI(null, `live_set tracks ${trackIndex}`).id);
+        } catch (error) {
+            return null;
+        }
+        if (trackId === 0) return null;
+
+        const trackEntry = { trackId, trackIndex, slots: new Map() };
+        this.clipTracks.set(trackId, trackEntry);
+        this.syncClipSlots(trackEntry);
+        return trackEntry;
+    }
+
+    syncClipSlots(trackEntry) {
+        let slotIds = [];
+        try {
+            const trackAPI = new LiveAPI(null, `live_set tracks ${trackEntry.trackIndex}`);
+            slotIds = parseIdList(trackAPI.get("clip_slots")).slice(0, this.config.maxClips);
+        } catch (error) {
+            return { added: 0, removed: 0 };
+        }
+
+        let added = 0;
+        let removed = 0;
+
+        for (const [slotId, slotEntry] of trackEntry.slots) {
+            if (!slotIds.includes(slotId)) {
+                this.releaseClipSlot(trackEntry, slotEntry);
+                trackEntry.slots.delete(slotId);
+                removed++;
+            }
+        }
+
+        slotIds.forEach((slotId, clipIndex) => {
+            const slotEntry = trackEntry.slots.get(slotId);
+            if (slotEntry) {
+                slotEntry.clipIndex = clipIndex;
+            } else {
+                const created = this.createRobustClipObserver(trackEntry, clipIndex);
+                if (created) {
+                    trackEntry.slots.set(slotId, created);
+                    added++;
+                }
+            }
+        });
+
+        return { added, removed };
+    }
+
+    releaseObservers(observers) {
+        for (const observer of observers) {
+            try {
+                observer.property = "";
+            } catch (error) {
+                // Object already gone from the set
+            }
+            this.observers.delete(observer);
+        }
+    }
+
+    setupStructureMonitoring() {
+        const tracksCallback = (args) => {
+            if (!this.isActive) return;
+            const trackIds = parseIdList(args.slice(1));
+            // Reading the filter fields costs several LiveAPI objects per track - once per change
+            const wanted = this.filterTracks(trackIds);
+            this.syncClipTracks(trackIds, wanted);
+            this.syncFilterFieldObservers(trackIds);
+
+            // Send paths carry the track index, so a track moving also rebuilds them
+            const layoutKey = (tracks) => tracks.map(({ trackId, trackIndex }) => `${trackId}@${trackIndex}`).join(" ");
+            if (this.config.sendMonitoring === "all" && layoutKey(wanted) !== layoutKey(this.sendLayout.tracks)) {
+                this.rebuildSendMonitoring(wanted);
+            }
+        };
+
+        // New or deleted return tracks add or remove a send on every track
+        const returnTracksCallback = (args) => {
+            if (!this.isActive) return;
+            const returnCount = parseIdList(args.slice(1)).length;
+            if (this.config.sendMonitoring !== "off" && returnCount !== this.sendLayout.returnCount) {
+                this.rebuildSendMonitoring();
+            }
+        };
+
+        const scenesCallback = (args) => {
+            if (!this.isActive) return;
+            const sceneIds = parseIdList(args.slice(1));
+            this.syncSceneObservers(sceneIds);
+            this.syncClipScenes(sceneIds.length);
+        };
+
+        try {
+            const tracksAPI = new LiveAPI(propertyCallback(tracksCallback), "live_set");
+            tracksAPI.property = "tracks";
+            this.observers.add(tracksAPI);
+
+            const scenesAPI = new LiveAPI(propertyCallback(scenesCallback), "live_set");
+            scenesAPI.property = "scenes";
+            this.observers.add(scenesAPI);
+
+            const returnTracksAPI = new LiveAPI(propertyCallback(returnTracksCallback), "live_set");
+            returnTracksAPI.property = "return_tracks";
+            this.observers.add(returnTracksAPI);
+        } catch (error) {
+            this.log.warn("track", "Warning: Could not set up track/scene list monitoring - use restart() after editing the set");
+        }
+    }
+
+    syncClipTracks(trackIds, wanted) {
+        const { added, removed, moved } = this.rebindClipTracks(wanted);
+
+        // The initial callback only establishes the current track count
+        const previousCount = this.lastValues.get("live_set tracks");
+        if (previousCount === undefined) {
+            this.lastValues.set("live_set tracks", trackIds.length);
+            return;
+        }
+        if (previousCount === trackIds.length && added === 0 && removed === 0 && moved === 0) return;
+
+        this.emitEvent("tracks_changed", "live_set", "tracks", trackIds.length, { added, removed, moved });
+    }
+
+    // A playing clip whose slot or track is dropped can no longer report its
+    // stop, so it is reported as stopped now - otherwise its launch stays open
+    releaseClipSlot(trackEntry, slotEntry) {
+        this.releaseObservers(slotEntry.observers);
+        if (slotEntry.isPlaying !== 1) return;
+
+        slotEntry.isPlaying = 0;
+        const clipPath = `live_set tracks ${trackEntry.trackIndex} clip_slots ${slotEntry.clipIndex}`;
+        this.emitEvent("clip_stopped", clipPath, "is_playing", 0,
+            { trackIndex: trackEntry.trackIndex, clipIndex: slotEntry.clipIndex, trackName: null, clip: null });
+    }
+
+    // Bring the clip observers in line with the first maxTracks tracks that pass
+    // the filters, as returned by filterTracks()
+    rebindClipTracks(wanted) {
+        const wantedIds = wanted.map(entry => entry.trackId);
+        let added = 0;
+        let removed = 0;
+        let moved = 0;
+
+        for (const [trackId, trackEntry] of this.clipTracks) {
+            if (!wantedIds.includes(trackId)) {
+                for (const slotEntry of trackEntry.slots.values()) {
+                    this.releaseClipSlot(trackEntry, slotEntry);
+                }
+                this.clipTracks.delete(trackId);
+                removed++;
+            }
+        }
+
+        wanted.forEach(({ trackId, trackIndex }) => {
+            const trackEntry = this.clipTracks.get(trackId);
+            if (!trackEntry) {
+                if (this.bindClipTrack(trackIndex)) added++;
+            } else if (trackEntry.trackIndex !== trackIndex) {
+                trackEntry.trackIndex = trackIndex;
+                moved++;
+            }
+        });
+
+        return { added, removed, moved };
+    }
+
+    syncClipScenes(sceneCount) {
+        let added = 0;
+        let removed = 0;
+
+        for (const trackEntry of this.clipTracks.values()) {
+            const changes = this.syncClipSlots(trackEntry);
+            added += changes.added;
+            removed += changes.removed;
+        }
+
+        // The initial callback only establishes the current scene count
+        const previousCount = this.lastValues.get("live_set scenes");
+        if (previousCount === undefined) {
+            this.lastValues.set("live_set scenes", sceneCount);
+            return;
+        }
+        if (previousCount === sceneCount && added === 0 && removed === 0) return;
+
+        this.emitEvent("scenes_changed", "live_set", "scenes", sceneCount, { added, removed });
+    }
+
+    setupSceneMonitoring() {
+        if (!this.isActive) return;
+
+        this.log.debug("clip", "=== Setting up scene monitoring ===");
+
+        let sceneIds = [];
+        try {
+            const songAPI = new LiveAPI(null, "live_set");
+            sceneIds = parseIdList(songAPI.get("scenes"));
+        } catch (error) {
+            this.log.warn("clip", "Could not determine scenes - scene monitoring unavailable");
+            return;
+        }
+
+        this.syncSceneObservers(sceneIds);
+
+        const selectedSceneCallback = (args) => {
+            if (!this.isActive) return;
+            const [sceneId] = parseIdList(args.slice(1));
+            const sceneEntry = this.scenes.get(sceneId);
+            const details = sceneEntry ? this.sceneDetails(sceneEntry) : { sceneIndex: null, name: null, tempo: null };
+            this.emitEvent("selected_scene", "live_set view", "selected_scene", details.sceneIndex, details);
+        };
+
+        try {
+            const selectedSceneAPI = new LiveAPI(propertyCallback(selectedSceneCallback), "live_set view");
+            selectedSceneAPI.property = "selected_scene";
+            this.observers.add(selectedSceneAPI);
+        } catch (error) {
+            this.log.warn("clip", "Warning: Could not set up selected scene monitoring");
+        }
+
+        this.log.debug("clip", `Scene monitoring active for ${this.scenes.size} scenes`);
+    }
+
+    syncSceneObservers(sceneIds) {
+        const wantedIds = sceneIds.slice(0, this.config.maxScenes);
+
+        for (const [sceneId, sceneEntry] of this.scenes) {
+            if (!wantedIds.includes(sceneId)) {
+                this.releaseObservers(sceneEntry.observers);
+                this.scenes.delete(sceneId);
+            }
+        }
+
+        wantedIds.forEach((sceneId, sceneIndex) => {
+            const sceneEntry = this.scenes.get(sceneId);
+            if (sceneEntry) {
+                sceneEntry.sceneIndex = sceneIndex;
+            } else {
+                this.createSceneObservers(sceneId, sceneIndex);
+            }
+        });
+    }
+
+    sceneDetails(sceneEntry) {
+        const { sceneIndex, name, tempo, color } = sceneEntry;
+        return { sceneIndex, name, tempo, color };
+    }
+
+    // True once a clip of the scene's row plays, or for a row without clips
+    // while the song keeps playing. Stopping the transport or all clips before
+    // the launch quantization also clears is_triggered, without a launch
+    sceneLaunchConfirmed(sceneIndex) {
+        try {
+            const songAPI = new LiveAPI(null, "live_set");
+            const trackCount = songAPI.getcount("tracks");
+            let hasClips = false;
+
+            for (let trackIndex = 0; trackIndex < trackCount; trackIndex++) {
+                const slotAPI = new LiveAPI(null, `live_set tracks ${trackIndex} clip_slots ${sceneIndex}`);
+                if (slotAPI.id === 0 || !Number(firstValue(slotAPI.get("has_clip")))) continue;
+                hasClips = true;
+                if (Number(firstValue(slotAPI.get("is_playing")))) return true;
+            }
+
+            return !hasClips && Boolean(Number(firstValue(songAPI.get("is_playing"))));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    createSceneObservers(sceneId, sceneIndex) {
+        const sceneEntry = { sceneIndex, name: "", tempo: null, color: null, triggered: false, observers: [] };
+        const scenePath = () => `live_set scenes ${sceneEntry.sceneIndex}`;
+
+        // Scene tempo is -1 when the scene has no tempo of its own
+        const normalize = {
+            name: (value) => Array.isArray(value) ? value.join(" ") : String(value),
+            tempo: (value) => Number(value) > 0 ? Number(value) : null,
+            color: (value) => Number(value)
+        };
+
+        const reported = new Set();
+        const metadataCallback = (property) => (args) => {
+            const value = normalize[property](args.slice(1));
+            const previous = sceneEntry[property];
+            sceneEntry[property] = value;
+
+            // The first report is the current value, not a change
+            if (!reported.has(property)) {
+                reported.add(property);
+                return;
+            }
+            if (!this.isActive || sameValue(previous, value)) return;
+            this.emitEvent("scene_changed", scenePath(), property, value, this.sceneDetails(sceneEntry));
+        };
+
+        const triggeredCallback = (args) => {
+            if (!this.isActive) return;
+            const isTriggered = Boolean(Number(args[1]));
+
+            if (isTriggered && !sceneEntry.triggered) {
+                this.emitEvent("scene_triggered", scenePath(), "is_triggered", 1, this.sceneDetails(sceneEntry));
+            } else if (!isTriggered && sceneEntry.triggered) {
+                // A triggered scene stops waiting once it has launched - or when
+                // the trigger is cancelled, so only a launch that started its clips counts
+                if (this.sceneLaunchConfirmed(sceneEntry.sceneIndex)) {
+                    this.playingScene = this.sceneDetails(sceneEntry);
+                    this.emitEvent("scene_launched", scenePath(), "is_triggered", 0, this.playingScene);
+                } else {
+                    this.log.debug("clip", `Scene ${sceneEntry.sceneIndex + 1} trigger cancelled`);
+                }
+            }
+            sceneEntry.triggered = isTriggered;
+        };
+
+        try {
+            for (const property of ["name", "tempo", "color"]) {
+                const metadataAPI = new LiveAPI(propertyCallback(metadataCallback(property)), `id ${sceneId}`);
+                if (metadataAPI.id === 0) return;
+                metadataAPI.property = property;
+                this.observers.add(metadataAPI);
+                sceneEntry.observers.push(metadataAPI);
+            }
+
+            const triggeredAPI = new LiveAPI(propertyCallback(triggeredCallback), `id ${sceneId}`);
+            triggeredAPI.property = "is_triggered";
+            this.observers.add(triggeredAPI);
+            sceneEntry.observers.push(triggeredAPI);
+        } catch (error) {
+            this.log.warn("clip", `Warning: Could not set up monitoring for scene ${sceneIndex + 1}`);
+        }
+
+        this.scenes.set(sceneId, sceneEntry);
+        // Scenes found at start-up are listed in the initial state
+        if (this.initialSync) {
+            this.emitEvent("scene_changed", scenePath(), "name", sceneEntry.name, this.sceneDetails(sceneEntry));
+        }
+    }
+
+    // Arrangement locators and the section the playhead is in
+    setupCuePointMonitoring() {
+        if (!this.isActive) return;
+
+        this.log.debug("transport", "=== Setting up locator monitoring ===");
+
+        // The first report lists the existing locators, later ones are edits
+        let reported = false;
+        const cuePointsCallback = (args) => {
+            if (!this.isActive) return;
+            this.syncCuePoints(parseIdList(args.slice(1)), reported);
+            reported = true;
+        };
+
+        const songTimeCallback = (args) => {
+            if (!this.isActive) return;
+            this.updateCurrentSection(parseFloat(args[1]));
+        };
+
+        try {
+            const cuePointsAPI = new LiveAPI(propertyCallback(cuePointsCallback), "live_set");
+            cuePointsAPI.property = "cue_points";
+            this.observers.add(cuePointsAPI);
+
+            const songTimeAPI = new LiveAPI(propertyCallback(songTimeCallback), "live_set");
+            songTimeAPI.property = "current_song_time";
+            this.observers.add(songTimeAPI);
+        } catch (error) {
+            this.log.warn("transport", "Warning: Could not set up locator monitoring");
+            return;
+        }
+
+        this.log.debug("transport", `Locator monitoring active for ${this.cuePoints.size} locators`);
+    }
+
+    syncCuePoints(cueIds, announce) {
+        for (const [cueId, cueEntry] of this.cuePoints) {
+            if (!cueIds.includes(cueId)) {
+                this.releaseObservers(cueEntry.observers);
+                this.cuePoints.delete(cueId);
+                if (announce) {
+                    this.emitEvent("cue_point_removed", "live_set", "cue_points", cueEntry.name, this.cuePointDetails(cueEntry));
+                }
+            }
+        }
+
+        cueIds.forEach((cueId, cueIndex) => {
+            const cueEntry = this.cuePoints.get(cueId);
+            if (cueEntry) {
+                cueEntry.cueIndex = cueIndex;
+                return;
+            }
+
+            // Locators found at start-up are listed in the initial state
+            const created = this.createCuePointObservers(cueId, cueIndex);
+            if (created && (announce || this.initialSync)) {
+                this.emitEvent("cue_point_added", `live_set cue_points ${cueIndex}`, "name", created.name, this.cuePointDetails(created));
+            }
+        });
+
+        this.updateCurrentSection();
+    }
+
+    cuePointDetails(cueEntry) {
+        const { cueIndex, name, time } = cueEntry;
+        return { cueIndex, name, time, position: this.timeline.toBarsBeats(time) };
+    }
+
+    createCuePointObservers(cueId, cueIndex) {
+        const cueEntry = { cueId, cueIndex, name: "", time: 0, observers: [] };
+        const cuePath = () => `live_set cue_points ${cueEntry.cueIndex}`;
+
+        const normalize = {
+            name: (value) => oscText(value),
+            time: (value) => parseFloat(firstValue(value))
+        };
+
+        // Read up front: the observers' first report is only a baseline
+        try {
+            const cueAPI = new LiveAPI(null, `id ${cueId}`);
+            cueEntry.name = normalize.name(cueAPI.get("name"));
+            cueEntry.time = normalize.time(cueAPI.get("time"));
+        } catch (error) {
+            this.log.warn("transport", `Could not read locator ${cueIndex + 1}`);
+            return null;
+        }
+
+        for (const property of ["name", "time"]) {
+            const observerAPI = this.createChangeObserver(`id ${cueId}`, property, cueEntry.observers, (rawValue) => {
+                const value = normalize[property](rawValue);
+                const previous = cueEntry[property];
+                cueEntry[property] = value;
+                if (sameValue(previous, value)) return;
+
+                // The index path may have belonged to another locator before a reorder,
+                // so the old value is this locator's own previous one
+                const type = property === "name" ? "cue_point_renamed" : "cue_point_moved";
+                this.lastValues.set(`${cuePath()} ${property}`, previous);
+                this.emitEvent(type, cuePath(), property, value, this.cuePointDetails(cueEntry));
+                if (property === "time") this.updateCurrentSection();
+            });
+
+            if (!observerAPI) {
+                this.log.warn("transport", `Warning: Could not set up monitoring for locator ${cueIndex + 1}`);
+                this.releaseObservers(cueEntry.observers);
+                return null;
+            }
+        }
+
+        this.cuePoints.set(cueId, cueEntry);
+        return cueEntry;
+    }
+
+    // The section is the last locator at or before the playhead
+    updateCurrentSection(songTime = this.getSongTime()) {
+        if (songTime === null || isNaN(songTime)) return;
+
+        let section = null;
+        for (const cueEntry of this.cuePoints.values()) {
+            if (cueEntry.time <= songTime + 1e-6 && (!section || cueEntry.time >= section.time)) {
+                section = cueEntry;
+            }
+        }
+
+        const previous = this.currentSection;
+        this.currentSection = section;
+
+        // The section found at start-up is part of the initial state
+        if (!this.sectionKnown) {
+            this.sectionKnown = true;
+            if (!this.initialSync) {
+                this.lastValues.set("live_set section", section ? section.name : null);
+                return;
+            }
+        }
+        if (section === previous) return;
+
+        const details = section ? this.cuePointDetails(section) : { cueIndex: null, name: null, time: null, position: null };
+        details.previous = previous ? previous.name : null;
+        this.emitEvent("section_changed", "live_set", "section", section ? section.name : null, details);
+    }
+
+    // Track name plus the clip's own properties, read when a slot starts or stops
+    readClipMetadata(trackIndex, clipIndex) {
+        const metadata = { trackName: null, clip: null };
+
+        try {
+            metadata.trackName = oscText(new LiveAPI(null, `live_set tracks ${trackIndex}`).get("name"));
+        } catch (error) {
+            // Report the clip without its track name
+        }
+
+        try {
+            const clipAPI = new LiveAPI(null, `live_set tracks ${trackIndex} clip_slots ${clipIndex} clip`);
+            if (clipAPI.id === 0) return metadata;
+
+            const read = (property) => {
+                try {
+                    return firstValue(clipAPI.get(property));
+                } catch (error) {
+                    return null;
+                }
+            };
+
+            const isAudioClip = Boolean(read("is_audio_clip"));
+            metadata.clip = {
+                name: oscText(clipAPI.get("name")),
+                color: read("color"),
+                length: read("length"),
+                loopStart: read("loop_start"),
+                loopEnd: read("loop_end"),
+                looping: Boolean(read("looping")),
+                warping: isAudioClip ? Boolean(read("warping")) : null,
+                isAudioClip,
+                isMidiClip: Boolean(read("is_midi_clip")),
+                filePath: isAudioClip ? oscText(clipAPI.get("file_path")) : null
+            };
+        } catch (error) {
+            // Slot without a readable clip
+        }
+
+        return metadata;
+    }
+
+    formatClip(details) {
+        const track = details.trackName ? `${details.trackName} (Track ${details.trackIndex + 1})` : `Track ${details.trackIndex + 1}`;
+        return `${track}, Clip ${details.clipIndex + 1}${details.clip ? ` "${details.clip.name}"` : ''}`;
+    }
+
+    formatClipInfo(clip) {
+        const parts = [
+            clip.isMidiClip ? "MIDI" : "Audio",
+            `Length: ${clip.length} beats`,
+            `Loop: ${clip.loopStart}-${clip.loopEnd}${clip.looping ? '' : ' (off)'}`,
+            `Color: ${clip.color}`
+        ];
+        if (clip.isAudioClip) parts.push(`Warp: ${clip.warping ? 'ON' : 'OFF'}`);
+
+        const lines = [`    ${parts.join(" | ")}`];
+        if (clip.filePath) lines.push(`    File: ${clip.filePath}`);
+        return lines;
+    }
+
+    // Notes of a MIDI clip as plain records - get_notes_extended (Live 11+) or the legacy get_notes
+    readClipNotes(clipPath) {
+        let clipAPI;
+        let timeSpan;
+        try {
+            clipAPI = new LiveAPI(null, clipPath);
+            if (clipAPI.id === 0 || !firstValue(clipAPI.get("is_midi_clip"))) return null;
+            timeSpan = Math.max(parseFloat(clipAPI.get("length")) || 0, parseFloat(clipAPI.get("loop_end")) || 0);
+        } catch (error) {
+            // The clip was deleted or its slot emptied since the launch
+            return null;
+        }
+        let notes = null;
+
+        try {
+            const result = JSON.parse(oscText(clipAPI.call("get_notes_extended", 0, 128, 0, timeSpan)));
+            notes = result.notes.map(note => ({
+                noteId: note.note_id !== undefined ? note.note_id : null,
+                pitch: note.pitch,
+                startTime: note.start_time,
+                duration: note.duration,
+                velocity: note.velocity,
+                mute: Boolean(note.mute),
+                probability: note.probability !== undefined ? note.probability : 1
+            }));
+        } catch (error) {
+            // Older Live versions - fall back to get_notes
+        }
+
+        if (notes === null) {
+            try {
+                let atoms = clipAPI.call("get_notes", 0, 0, timeSpan, 128);
+                if (!Array.isArray(atoms)) atoms = String(atoms).split(" ");
+
+                // notes <count> note <pitch> <start> <duration> <velocity> <muted> ... done
+                notes = [];
+                for (let i = 0; i < atoms.length; i++) {
+                    if (atoms[i] !== "note") continue;
+                    notes.push({
+                        noteId: null,
+                        pitch: Number(atoms[i + 1]),
+                        startTime: Number(atoms[i + 2]),
+                        duration: Number(atoms[i + 3]),
+                        velocity: Number(atoms[i + 4]),
+                        mute: Boolean(Number(atoms[i + 5])),
+                        probability: 1
+                    });
+                    i += 5;
+                }
+            } catch (error) {
+                return null;
+            }
+        }
+
+        return notes.sort((a, b) => a.startTime - b.startTime || a.pitch - b.pitch);
+    }
+
+    formatNote(note) {
+        const extras = [];
+        if (note.mute) extras.push("muted");
+        if (note.probability < 1) extras.push(`prob ${Math.round(note.probability * 100)}%`);
+        return `${noteName(note.pitch)} (${note.pitch}) @ ${note.startTime.toFixed(3)} len ${note.duration.toFixed(3)} ` +
+            `vel ${Math.round(note.velocity)}${extras.length > 0 ? ` ${extras.join(", ")}` : ''}`;
+    }
+
+    dumpClipNotes(trackNumber, clipNumber) {
+        const trackIndex = Number(trackNumber) - 1;
+        const clipIndex = Number(clipNumber) - 1;
+        if (isNaN(trackIndex) || isNaN(clipIndex) || trackIndex < 0 || clipIndex < 0) {
+            post("Usage: notes <track> <clip> (numbered from 1) or notes watch <1|0>");
+            return;
+        }
+
+        const clipPath = `live_set tracks ${trackIndex} clip_slots ${clipIndex} clip`;
+        let notes = null;
+        try {
+            notes = this.readClipNotes(clipPath);
+        } catch (error) {
+            // Reported below
+        }
+        if (notes === null) {
+            this.log.warn("clip", `No MIDI clip at Track ${trackIndex + 1}, Clip ${clipIndex + 1}`);
+            return;
+        }
+
+        this.emitEvent("clip_notes", clipPath, "notes", notes.length,
+            Object.assign({ trackIndex, clipIndex, notes }, this.readClipMetadata(trackIndex, clipIndex)));
+    }
+
+    watchClipNotes(trackEntry, slotEntry) {
+        if (slotEntry.noteWatch) return;
+
+        const clipPath = () => `live_set tracks ${trackEntry.trackIndex} clip_slots ${slotEntry.clipIndex} clip`;
+        const notes = this.readClipNotes(clipPath());
+        if (notes === null) return; // Audio clip or empty slot
+
+        const noteWatch = { notes, api: null };
+        slotEntry.noteWatch = noteWatch;
+
+        noteWatch.api = this.createChangeObserver(clipPath(), "notes", slotEntry.observers, () => {
+            const currentNotes = this.readClipNotes(clipPath()) || [];
+            const { added, removed, changed } = diffNotes(noteWatch.notes, currentNotes);
+            noteWatch.notes = currentNotes;
+            if (added.length + removed.length + changed.length === 0) return;
+
+            const details = Object.assign({ trackIndex: trackEntry.trackIndex, clipIndex: slotEntry.clipIndex },
+                this.readClipMetadata(trackEntry.trackIndex, slotEntry.clipIndex), { added, removed, changed });
+            this.emitEvent("notes_changed", clipPath(), "notes", currentNotes.length, details);
+        });
+
+        if (!noteWatch.api) slotEntry.noteWatch = null;
+    }
+
+    unwatchClipNotes(slotEntry) {
+        if (!slotEntry.noteWatch) return;
+
+        const { api } = slotEntry.noteWatch;
+        this.releaseObservers([api]);
+        slotEntry.observers = slotEntry.observers.filter(observer => observer !== api);
+        slotEntry.noteWatch = null;
+    }
+
+    setNoteMonitoring(enabled) {
+        this.config.noteMonitoring = Boolean(Number(enabled));
+        this.log.info("clip", `Note monitoring ${this.config.noteMonitoring ? 'ENABLED' : 'DISABLED'}`);
+        this.applySetting("noteMonitoring");
+    }
+
+    createRobustClipObserver(trackEntry, clipIndex) {
+        const slotEntry = { clipIndex, isPlaying: null, observers: [], noteWatch: null };
+        const clipPath = () => `live_set tracks ${trackEntry.trackIndex} clip_slots ${slotEntry.clipIndex}`;
+        const clipDetails = () => ({ trackIndex: trackEntry.trackIndex, clipIndex: slotEntry.clipIndex });
+        const clipMetadata = () => Object.assign(clipDetails(), this.readClipMetadata(trackEntry.trackIndex, slotEntry.clipIndex));
+
+        // Test if clip slot exists before creating observers
+        try {
+            const testAPI = new LiveAPI(null, clipPath());
+            if (testAPI.id === 0) return null; // Skip non-existent clip slots
+        } catch (error) {
+            return null; // Skip problematic clip slots
+        }
+
+        const playingCallback = (args) => {
+            if (!this.isActive) return;
+            const isPlaying = Number(args[1]) ? 1 : 0;
+            if (slotEntry.isPlaying === isPlaying) return;
+
+            // Slots bound after start-up first report their current state, not a launch
+            const firstReport = slotEntry.isPlaying === null;
+            slotEntry.isPlaying = isPlaying;
+            if (firstReport && !this.initialSync) {
+                this.lastValues.set(`${clipPath()} is_playing`, isPlaying);
+                return;
+            }
+
+            const type = isPlaying ? "clip_launched" : "clip_stopped";
+            this.emitEvent(type, clipPath(), "is_playing", isPlaying, clipMetadata());
+
+            if (isPlaying && this.config.noteMonitoring) {
+                this.watchClipNotes(trackEntry, slotEntry);
+            } else if (!isPlaying) {
+                this.unwatchClipNotes(slotEntry);
+            }
+        };
+
+        const triggeredCallback = (args) => {
+            if (!this.isActive) return;
+            const [, isTriggered] = args;
+            if (isTriggered) {
+                this.emitEvent("clip_triggered", clipPath(), "is_triggered", 1, clipDetails());
+            } else {
+                // Keep the old/new pair accurate for the next trigger without reporting it
+                this.lastValues.set(`${clipPath()} is_triggered`, 0);
+            }
+        };
+
+        try {
+            const playingAPI = new LiveAPI(propertyCallback(playingCallback), clipPath());
+            playingAPI.property = "is_playing";
+            this.observers.add(playingAPI);
+            slotEntry.observers.push(playingAPI);
+
+            const triggeredAPI = new LiveAPI(propertyCallback(triggeredCallback), clipPath());
+            triggeredAPI.property = "is_triggered";
+            this.observers.add(triggeredAPI);
+            slotEntry.observers.push(triggeredAPI);
+        } catch (error) {
+            // Silently skip problematic clip slots
+        }
+
+        return slotEntry;
+    }
+
+    createRobustPeriodicDisplay() {
+        if (!this.isActive) return;
+
+        this.log.debug("status", "=== Starting robust periodic display ===");
+        this.log.debug("status", `Status updates every ${this.config.updateInterval / 1000} seconds with graceful degradation`);
+
+        if (this.displayTask) {
+            this.displayTask.cancel();
+        }
+
+        this.displayTask = new Task(() => {
+            if (!this.isActive) {
+                if (this.displayTask) {
+                    this.displayTask.cancel();
+                    this.displayTask = null;
+                }
+                return;
+            }
+
+            this.displayRobustStatus();
+
+            if (this.isActive && this.displayTask) {
+                this.displayTask.schedule(this.config.updateInterval);
+            }
+        });
+
+        this.displayTask.execute();
+    }
+
+    // A status whose transport or track query failed is not reported; with
+    // retryFailedQueries on, the whole status is queried again after a short delay
+    displayRobustStatus(retrying = false) {
+        if (!this.isActive) return;
+        let queryFailed = false;
+
+        // Collect available information with individual error handling
+        const statusInfo = {
+            transport: null,
+            tempo: null,
+            songTime: null,
+            transportExtras: null,
+            trackName: null,
+            trackLabel: null,
+            trackState: null,
+            trackVolume: null,
+            trackPan: null,
+            playingScene: this.playingScene,
+            section: this.currentSection ? this.cuePointDetails(this.currentSection) : null,
+            locatorCount: this.cuePoints.size
+        };
+
+        // Query transport state
+        try {
+            statusInfo.transport = new LiveAPI(null, "live_set").get("is_playing");
+            this.connectionHealth.transportSuccess++;
+        } catch (error) {
+            // Transport query failed - this is unusual but handle gracefully
+            queryFailed = true;
+        }
+        this.connectionHealth.transportQueries++;
+
+        // Query tempo with type validation
+        try {
+            const songAPI = new LiveAPI(null, "live_set");
+            const rawTempo = songAPI.get("tempo");
+            // Convert to number and validate
+            const numericTempo = parseFloat(rawTempo);
+            statusInfo.tempo = !isNaN(numericTempo) ? numericTempo : null;
+        } catch (error) {
+            // Tempo query failed
+        }
+
+        // Query time signature, loop region and the record/overdub/punch switches
+        try {
+            const songAPI = new LiveAPI(null, "live_set");
+            const extras = { signature: this.readSignature() };
+            for (const extra of TRANSPORT_EXTRAS) {
+                const value = firstValue(songAPI.get(extra.property));
+                extras[extra.property] = extra.beats ? parseFloat(value) : (value ? 1 : 0);
+            }
+            statusInfo.transportExtras = extras;
+        } catch (error) {
+            // Transport extras unavailable
+        }
+
+        // Query song position with type validation
+        try {
+            const songAPI = new LiveAPI(null, "live_set");
+            const rawSongTime = songAPI.get("current_song_time");
+            // Convert to number and validate
+            const numericSongTime = parseFloat(rawSongTime);
+            statusInfo.songTime = !isNaN(numericSongTime) ? numericSongTime : null;
+        } catch (error) {
+            // Song time query failed
+        }
+
+        // Query track information
+        try {
+            const trackAPI = new LiveAPI(null, "live_set view selected_track");
+            statusInfo.trackName = trackAPI.get("name");
+
+            if (trackAPI.id !== 0) {
+                statusInfo.trackLabel = this.describeSelectedTrack().label;
+
+                const trackFlags = [];
+                try { if (trackAPI.get("mute")) trackFlags.push("MUTED"); } catch (e) { }
+                try { if (trackAPI.get("solo")) trackFlags.push("SOLO"); } catch (e) { }
+                try { if (trackAPI.get("arm")) trackFlags.push("ARMED"); } catch (e) { }
+                statusInfo.trackState = trackFlags.length > 0 ? trackFlags.join(", ") : "AUDIBLE";
+
+                try {
+                    const mixerPath = "live_set view selected_track mixer_device";
+                    const volumeAPI = new LiveAPI(null, `${mixerPath} volume`);
+                    const panAPI = new LiveAPI(null, `${mixerPath} panning`);
+                    statusInfo.trackVolume = this.mixerDisplay(volumeAPI, volumeAPI.get("value"), "volume");
+                    statusInfo.trackPan = this.mixerDisplay(panAPI, panAPI.get("value"), "pan");
+                } catch (e) { }
+            }
+            this.connectionHealth.sessionSuccess++;
+        } catch (error) {
+            // Session query failed
+            queryFailed = true;
+        }
+        this.connectionHealth.sessionQueries++;
+
+        if (queryFailed && !retrying && this.config.retryFailedQueries) {
+            this.scheduleStatusRetry();
+            return;
+        }
+        if (retrying && !queryFailed) this.connectionHealth.recovered++;
+
+        this.emitEvent("status", "live_set", "status", statusInfo);
+    }
+
+    // Live can briefly refuse queries, e.g. while a set is loading - asking
+    // again straight away fails the same way, so the retry waits
+    scheduleStatusRetry() {
+        this.connectionHealth.retries++;
+        this.log.debug("health", `Status query failed - retrying in ${STATUS_RETRY_DELAY}ms`);
+
+        if (this.retryTask) this.retryTask.cancel();
+        this.retryTask = new Task(() => {
+            this.retryTask = null;
+            this.displayRobustStatus(true);
+        });
+        this.retryTask.schedule(STATUS_RETRY_DELAY);
+    }
+
+    // The summary answers the 'health' message directly; at stop it goes
+    // through the health log category
+    displayConnectionHealth(write = line => post(line)) {
+        const { transportQueries, transportSuccess, sessionQueries, sessionSuccess, retries, recovered } = this.connectionHealth;
+
+        write("=== CONNECTION HEALTH SUMMARY ===");
+
+        if (transportQueries > 0) {
+            const transportRate = ((transportSuccess / transportQueries) * 100).toFixed(1);
+            write(`Transport queries: ${transportSuccess}/${transportQueries} (${transportRate}%)`);
+        }
+
+        if (sessionQueries > 0) {
+            const sessionRate = ((sessionSuccess / sessionQueries) * 100).toFixed(1);
+            write(`Session queries: ${sessionSuccess}/${sessionQueries} (${sessionRate}%)`);
+        }
+
+        if (retries > 0) {
+            write(`Retried queries: ${recovered}/${retries} recovered`);
+        }
+
+        if (transportQueries === 0 && sessionQueries === 0) {
+            write("No periodic queries were attempted");
+        }
+    }
+
+    // Enhanced configuration methods
+    setUpdateInterval(milliseconds) {
+        // Clamped into the range of 'set updateInterval', so a saved configuration
+        // stays loadable; anything that is not a number is rejected there
+        const { min, max } = CONFIG_SCHEMA.updateInterval;
+        const requested = Number(milliseconds);
+        this.setSetting("updateInterval", isFinite(requested)
+            ? Math.min(max, Math.max(min, Math.round(requested)))
+            : milliseconds);
+    }
+
+    togglePeriodicDisplay() {
+        this.config.enablePeriodicDisplay = !this.config.enablePeriodicDisplay;
+        this.log.info("status", `Periodic display ${this.config.enablePeriodicDisplay ? 'ENABLED' : 'DISABLED'}`);
+        this.applySetting("enablePeriodicDisplay");
+    }
+
+    // Generic settings access - set <key> <value> / get [key]
+    setSetting(key, value) {
+        if (key === undefined || value === undefined) {
+            post("Usage: set <key> <value> - send 'get' to list every setting");
+            return;
+        }
+        if (!CONFIG_SCHEMA[key]) {
+            this.log.error("lifecycle", `Unknown setting '${key}' - send 'get' to list every setting`);
+            return;
+        }
+        if (CONFIG_SCHEMA[key].type === "throttle") {
+            post("Throttle policies are changed with 'throttle <type|all> <rate|trailing|off> [ms] [min delta]'");
+            return;
+        }
+        if (CONFIG_SCHEMA[key].type === "trackFilters") {
+            post("Track filters are changed with 'filter <include|exclude> <field> <pattern>'");
+            return;
+        }
+        if (CONFIG_SCHEMA[key].type === "logCategories") {
+            post("Category log levels are changed with 'log <category> <level|default>'");
+            return;
+        }
+
+        const coerced = coerceSetting(key, value);
+        const error = settingError(key, coerced);
+        if (error) {
+            this.log.error("lifecycle", `Cannot set ${error}`);
+            return;
+        }
+
+        const newValue = CONFIG_SCHEMA[key].type === "boolean" ? Boolean(coerced) : coerced;
+        const previous = this.config[key];
+        if (previous === newValue) {
+            this.log.info("lifecycle", `${key} is already ${formatSetting(newValue)}`);
+            return;
+        }
+
+        this.config[key] = newValue;
+        this.log.info("lifecycle", `${key}: ${formatSetting(previous)} -> ${formatSetting(newValue)}`);
+        this.applySetting(key);
+    }
+
+    getSetting(key) {
+        if (key === undefined) {
+            const keys = Object.keys(CONFIG_SCHEMA);
+            post(`=== SETTINGS: ${keys.length} ===`);
+            keys.forEach(name => post(`    ${name}: ${formatSetting(this.config[name])}`));
+            return;
+        }
+        if (!CONFIG_SCHEMA[key]) {
+            post(`Unknown setting '${key}' - send 'get' to list every setting`);
+            return;
+        }
+
+        post(`${key}: ${formatSetting(this.config[key])}`);
+        try {
+            outlet(0, "setting", key, toAtom(this.config[key]));
+        } catch (error) {
+            // Outlet unavailable
+        }
+    }
+
+    // Called after a setting changed - re-wires only the monitors that depend on it
+    applySetting(key) {
+        // Settings read by other subsystems take effect whether or not monitoring runs
+        if (key === "journalMaxBytes") {
+            this.journal.maxBytes = this.config.journalMaxBytes;
+        } else if ((key === "oscEnabled" || key === "oscHost" || key === "oscPort") && this.config.oscEnabled) {
+            this.osc.sendDestination();
+        }
+
+        if (!this.isActive) return;
+
+        switch (key) {
+            case "updateInterval":
+            case "enablePeriodicDisplay":
+                if (this.displayTask) {
+                    this.displayTask.cancel();
+                    this.displayTask = null;
+                }
+                if (this.config.enablePeriodicDisplay) {
+                    if (key === "updateInterval") this.log.debug("status", "Restarting periodic display with new interval");
+                    this.createRobustPeriodicDisplay();
+                }
+                break;
+
+            case "trackFilters": {
+                const wasExcluded = this.selectedTrackExcluded;
+                this.updateSelectedTrackExclusion();
+                if (wasExcluded !== this.selectedTrackExcluded) {
+                    this.log.info("track", `Selected track ${this.selectedTrackExcluded ? 'is left out by the filters - its mixer and device events are dropped' : 'is observed again'}`);
+                    if (this.config.deviceMonitoring) this.rebuildDeviceMonitoring();
+                }
+            }
+            // falls through - the filters pick the tracks within maxTracks
+
+            case "maxTracks": {
+                let trackIds = [];
+                try {
+                    trackIds = parseIdList(new LiveAPI(null, "live_set").get("tracks"));
+                } catch (error) {
+                    this.log.warn("clip", "Could not read the track list - clip monitoring unchanged");
+                    return;
+                }
+                const wanted = this.filterTracks(trackIds);
+                const { added, removed } = this.rebindClipTracks(wanted);
+                if (key === "trackFilters") this.syncFilterFieldObservers(trackIds);
+                this.log.info("clip", `Clip monitoring: ${this.clipTracks.size} tracks (${added} added, ${removed} removed)`);
+
+                // Sends of every track follow the same limit
+                if (this.config.sendMonitoring === "all") this.rebuildSendMonitoring(wanted);
+                break;
+            }
+
+            case "maxClips": {
+                let added = 0;
+                let removed = 0;
+                for (const trackEntry of this.clipTracks.values()) {
+                    const changes = this.syncClipSlots(trackEntry);
+                    added += changes.added;
+                    removed += changes.removed;
+                }
+                this.log.info("clip", `Clip monitoring: ${this.config.maxClips} clips per track (${added} slots added, ${removed} removed)`);
+                break;
+            }
+
+            case "maxScenes":
+                try {
+                    this.syncSceneObservers(parseIdList(new LiveAPI(null, "live_set").get("scenes")));
+                    this.log.info("clip", `Scene monitoring: ${this.scenes.size} scenes`);
+                } catch (error) {
+                    this.log.warn("clip", "Could not read the scene list - scene monitoring unchanged");
+                }
+                break;
+
+            case "followSelection":
+                if (this.config.followSelection && !this.selectionObserver) {
+                    // The selection may have moved while following was off
+                    this.retargetSelectedTrackObservers();
+                    this.setupSelectionFollowing();
+                } else if (!this.config.followSelection && this.selectionObserver) {
+                    this.releaseObservers([this.selectionObserver]);
+                    this.selectionObserver = null;
+                    this.selectedTrackId = null;
+                }
+                break;
+
+            case "deviceMonitoring":
+                if (this.config.deviceMonitoring) {
+                    this.setupDeviceMonitoring();
+                } else {
+                    for (const device of this.devices) {
+                        this.releaseDeviceObservers(device);
+                    }
+                    this.devices = [];
+                    this.releaseObservers(this.rackObservers);
+                    this.rackObservers = [];
+                    this.deviceTree = [];
+                    const devicesEntry = this.selectedTrackObservers.find(entry => entry.property === "devices");
+                    if (devicesEntry) {
+                        this.releaseObservers([devicesEntry.api]);
+                        this.selectedTrackObservers = this.selectedTrackObservers.filter(entry => entry !== devicesEntry);
+                    }
+                }
+                break;
+
+            case "maxDeviceParameters":
+            case "rackMonitoring":
+            case "maxRackDepth":
+                if (this.config.deviceMonitoring) this.rebuildDeviceMonitoring();
+                break;
+
+            case "sendMonitoring":
+                this.rebuildSendMonitoring();
+                break;
+
+            case "noteMonitoring":
+                // Pick up clips that are already playing, or drop every note observer
+                for (const trackEntry of this.clipTracks.values()) {
+                    for (const slotEntry of trackEntry.slots.values()) {
+                        if (!this.config.noteMonitoring) {
+                            this.unwatchClipNotes(slotEntry);
+                            continue;
+                        }
+                        try {
+                            const slotAPI = new LiveAPI(null, `live_set tracks ${trackEntry.trackIndex} clip_slots ${slotEntry.clipIndex}`);
+                            if (firstValue(slotAPI.get("is_playing"))) this.watchClipNotes(trackEntry, slotEntry);
+                        } catch (error) {
+                            // Skip slots that cannot be read
+                        }
+                    }
+                }
+                break;
+
+            default:
+                // Read whenever it is used, nothing to re-wire
+                break;
+        }
+    }
+
+    setOutputMode(target, value) {
+        if (target === "format") {
+            if (settingError("eventFormat", value)) {
+                this.log.error("lifecycle", "Event format must be 'list' or 'json'");
+                return;
+            }
+            this.config.eventFormat = value;
+            this.log.info("lifecycle", `Event format set to ${value}`);
+            return;
+        }
+
+        const key = target === "console" ? "consoleOutput" : target === "events" ? "structuredOutput" : null;
+        if (!key) {
+            post("Usage: output <console|events> <1|0> or output format <list|json>");
+            return;
+        }
+
+        this.config[key] = Boolean(Number(value));
+        this.log.info("lifecycle", `${target === "console" ? 'Console' : 'Event'} output ${this.config[key] ? 'ENABLED' : 'DISABLED'}`);
+    }
+
+    // Console verbosity - log level <level>, log <category> <level|default>, log route <post|error>
+    configureLogging(setting, value) {
+        if (setting === undefined) {
+            this.showLogging();
+            return;
+        }
+
+        if (setting === "level") {
+            if (!LOG_LEVELS.includes(value)) {
+                post(`Log level must be one of ${LOG_LEVELS.join(", ")}`);
+                return;
+            }
+            this.config.logLevel = value;
+            post(`Log level set to ${value}`);
+            return;
+        }
+
+        if (setting === "route") {
+            if (value !== "post" && value !== "error") {
+                post("Log route must be 'post' or 'error'");
+                return;
+            }
+            this.config.logToError = value === "error";
+            post(`Warnings and errors go to ${value}()`);
+            return;
+        }
+
+        if (LOG_CATEGORIES.includes(setting)) {
+            if (value === "default") {
+                delete this.config.logCategories[setting];
+                post(`Log level for ${setting} follows the log level (${this.config.logLevel})`);
+                return;
+            }
+            if (!LOG_LEVELS.includes(value)) {
+                post(`Log level must be one of ${LOG_LEVELS.join(", ")} or 'default'`);
+                return;
+            }
+            this.config.logCategories[setting] = value;
+            post(`Log level for ${setting} set to ${value}`);
+            return;
+        }
+
+        post(`Usage: log [level <level> | <${LOG_CATEGORIES.join("|")}> <level|default> | route <post|error>]`);
+    }
+
+    showLogging() {
+        post(`=== LOGGING: ${this.config.logLevel}, warnings and errors to ${this.config.logToError ? 'error' : 'post'}() ===`);
+        LOG_CATEGORIES.forEach(category => {
+            const level = this.config.logCategories[category];
+            post(`    ${category}: ${level || `${this.config.logLevel} (default)`}`);
+        });
+    }
+
+    // Session journal control
+    startRecording(filePath) {
+        if (this.journal.isRecording) {
+            this.log.warn("lifecycle", `=== ALREADY RECORDING to ${this.journal.currentPath} - Use 'record stop' first ===`);
+            return;
+        }
+
+        this.journal.maxBytes = this.config.journalMaxBytes;
+        if (!this.journal.start(filePath, this.getSongTime())) {
+            this.log.error("lifecycle", `Could not open journal file ${this.journal.currentPath}`);
+            return;
+        }
+
+        // Status snapshots are periodic reads, not observed changes
+        this.journalSink = (event) => {
+            if (event.type !== "status" && !event.replayed) {
+                this.journal.write(event);
+            }
+        };
+        this.eventSinks.push(this.journalSink);
+
+        this.log.info("lifecycle", `=== RECORDING SESSION JOURNAL: ${this.journal.currentPath} ===`);
+    }
+
+    stopRecording() {
+        if (!this.journal.isRecording) {
+            this.log.warn("lifecycle", "=== NOT CURRENTLY RECORDING ===");
+            return;
+        }
+
+        this.eventSinks = this.eventSinks.filter(sink => sink !== this.journalSink);
+        this.journalSink = null;
+
+        const lastPath = this.journal.currentPath;
+        this.journal.stop(this.getSongTime());
+        this.log.info("lifecycle", `=== RECORDING STOPPED: ${this.journal.eventCount} events, last file ${lastPath} ===`);
+    }
 
-        post("=== Setting up parameter monitoring ===");
+    showRecordingStatus() {
+        if (!this.journal.isRecording) {
+            post("Recording: STOPPED");
+            return;
+        }
 
-        const volumeCallback = (args) => {
-            if (!this.isActive) return;
-            const [, volume] = args;
-            // Handle extreme values more gracefully
-            const percentage = Math.min(Math.max(volume * 100, 0), 1000); // Cap at reasonable range
-            post(`>>> VOLUME: ${percentage.toFixed(1)}%`);
-        };
+        const seconds = ((Date.now() - this.journal.startedAt) / 1000).toFixed(0);
+        post(`Recording: ${this.journal.currentPath} (part ${this.journal.part + 1}, ${this.journal.eventCount} events, ${seconds}s)`);
+    }
 
-        const panCallback = (args) => {
-            if (!this.isActive) return;
-            const [, pan] = args;
-            // Handle extreme values more gracefully
-            const clampedPan = Math.min(Math.max(pan, -1), 1); // Clamp to valid range
-            const percentage = ((clampedPan + 1) * 50).toFixed(1);
-            const direction = clampedPan < -0.1 ? "LEFT" : clampedPan > 0.1 ? "RIGHT" : "CENTER";
-            post(`>>> PAN: ${percentage}% (${direction})`);
-        };
+    // MIDI export of the clip launch history
+    exportPerformance(filePath) {
+        if (this.performance.noteCount === 0) {
+            this.log.warn("lifecycle", "No clip launches recorded yet - nothing to export");
+            return;
+        }
 
-        try {
-            const volumeAPI = new LiveAPI(volumeCallback, "live_set view selected_track mixer_device volume");
-            volumeAPI.property = "value";
-            this.observers.add(volumeAPI);
-        } catch (error) {
-            post("Warning: Could not set up volume monitoring");
+        // Without a readable time signature it is left out of the file
+        const signature = this.readSignature();
+        const targetPath = filePath || PerformanceRecorder.defaultPath();
+        const file = new File(targetPath, "write", "Midi");
+        if (!file.isopen) {
+            this.log.error("lifecycle", `Could not open MIDI file ${targetPath}`);
+            return;
         }
 
         try {
-            const panAPI = new LiveAPI(panCallback, "live_set view selected_track mixer_device panning");
-            panAPI.property = "value";
-            this.observers.add(panAPI);
+            const bytes = this.performance.toBytes(signature);
+            file.writebytes(bytes);
+            file.eof = bytes.length;
+            this.log.info("lifecycle", `=== EXPORTED ${this.performance.noteCount} CLIP LAUNCHES TO ${targetPath} ===`);
         } catch (error) {
-            post("Warning: Could not set up pan monitoring");
+            this.log.error("lifecycle", `Could not write MIDI file ${targetPath}`);
         }
+        file.close();
     }
 
-    setupEnhancedClipMonitoring(maxTracks, maxClips) {
-        if (!this.isActive) return;
+    clearPerformance() {
+        this.performance.clear();
+        this.log.info("lifecycle", "Clip launch history cleared");
+    }
 
-        post("=== Setting up enhanced clip monitoring ===");
+    showPerformanceStatus() {
+        const { performance } = this;
+        const beats = performance.position ? performance.position.beats.toFixed(2) : "0.00";
+        post(`MIDI export: ${performance.noteCount} clip launches, ${performance.tempoMap.length} tempo changes over ${beats} beats`);
+    }
 
-        // Use robust track counting with fallback
-        let trackCount = 0;
-        try {
-            const tracksAPI = new LiveAPI(null, "live_set tracks");
-            trackCount = Math.min(tracksAPI.getcount(), maxTracks);
-        } catch (error) {
-            post("Could not determine track count - using fallback method");
-            // Fallback: try to determine track count by testing individual tracks
-            for (let i = 0; i < maxTracks; i++) {
-                try {
-                    const testAPI = new LiveAPI(null, `live_set tracks ${i}`);
-                    if (testAPI.id !== 0) {
-                        trackCount = i + 1;
-                    } else {
-                        break;
-                    }
-                } catch (e) {
-                    break;
-                }
+    // Throttle policies per event type
+    setThrottle(eventType, mode, interval, minDelta) {
+        if (eventType === undefined) {
+            const types = Object.keys(this.config.throttle);
+            post(`=== THROTTLED EVENTS: ${types.length} ===`);
+            for (const type of types) {
+                const policy = this.config.throttle[type];
+                post(`    ${type}: ${policy.mode} ${policy.interval} ms${policy.minDelta > 0 ? `, min delta ${policy.minDelta}` : ''}`);
             }
+            return;
         }
 
-        if (trackCount === 0) {
-            post("No tracks detected for clip monitoring");
+        const types = eventType === "all"
+            ? Object.keys(Object.assign(defaultThrottlePolicies(), this.config.throttle))
+            : [eventType];
+        if (eventType !== "all" && !OSC_ADDRESS_MAP[eventType]) {
+            this.log.error("lifecycle", `Unknown event type '${eventType}'`);
+            return;
+        }
+        if (mode !== "rate" && mode !== "trailing" && mode !== "off") {
+            post("Usage: throttle <type|all> <rate|trailing|off> [interval ms] [min delta]");
             return;
         }
 
-        post(`Setting up clip monitoring for ${trackCount} tracks`);
+        // Same checks as a saved configuration, so saveconfig always writes a loadable file
+        const policies = {};
+        const toNumber = (value) => typeof value === "string" && value.trim() !== "" && !isNaN(Number(value)) ? Number(value) : value;
+        if (mode !== "off") {
+            for (const type of types) {
+                const previous = this.config.throttle[type] || { interval: 100, minDelta: 0 };
+                policies[type] = {
+                    mode,
+                    interval: interval !== undefined ? toNumber(interval) : previous.interval,
+                    minDelta: minDelta !== undefined ? toNumber(minDelta) : previous.minDelta
+                };
+            }
+            const error = settingError("throttle", policies);
+            if (error) {
+                this.log.error("lifecycle", `Cannot set ${error}`);
+                return;
+            }
+        }
 
-        for (let trackIndex = 0; trackIndex < trackCount; trackIndex++) {
-            for (let clipIndex = 0; clipIndex < maxClips; clipIndex++) {
-                this.createRobustClipObserver(trackIndex, clipIndex);
+        // Deliver values still held under the old policy before it changes
+        this.throttle.flushAll();
+        for (const type of types) {
+            if (mode === "off") {
+                delete this.config.throttle[type];
+            } else {
+                this.config.throttle[type] = policies[type];
             }
         }
 
-        post(`Clip monitoring active for ${trackCount} tracks, ${maxClips} clips each`);
+        this.log.info("lifecycle", `Throttle for ${eventType}: ${mode === "off" ? 'OFF' : `${mode} ${this.config.throttle[types[0]].interval} ms`}`);
     }
 
-    createRobustClipObserver(trackIndex, clipIndex) {
-        const clipPath = `live_set tracks ${trackIndex} clip_slots ${clipIndex}`;
-
-        // Test if clip slot exists before creating observers
-        try {
-            const testAPI = new LiveAPI(null, clipPath);
-            if (testAPI.id === 0) return; // Skip non-existent clip slots
-        } catch (error) {
-            return; // Skip problematic clip slots
+    // Configuration persistence - every setting, including the throttle
+    // policies and OSC address overrides, as JSON in a file or a named Max Dict
+    configDocument() {
+        const config = {};
+        for (const key of Object.keys(CONFIG_SCHEMA)) {
+            config[key] = this.config[key];
         }
-
-        const playingCallback = (args) => {
-            if (!this.isActive) return;
-            const [, isPlaying] = args;
-            const action = isPlaying ? "LAUNCHED" : "STOPPED";
-            post(`>>> CLIP ${action}: Track ${trackIndex + 1}, Clip ${clipIndex + 1}`);
+        return {
+            version: CONFIG_FORMAT_VERSION,
+            config: JSON.parse(JSON.stringify(config)),
+            oscAddresses: Object.assign({}, this.osc.addressOverrides)
         };
+    }
 
-        const triggeredCallback = (args) => {
-            if (!this.isActive) return;
-            const [, isTriggered] = args;
-            if (isTriggered) {
-                post(`>>> CLIP TRIGGERED: Track ${trackIndex + 1}, Clip ${clipIndex + 1} (waiting)`);
-            }
-        };
+    configSource(target, name) {
+        if (target === "dict") {
+            return name !== undefined ? { dictName: String(name), label: `dict ${name}` } : null;
+        }
+        const filePath = target !== undefined ? String(target) : DEFAULT_CONFIG_PATH;
+        return { filePath, label: filePath };
+    }
 
-        try {
-            const playingAPI = new LiveAPI(playingCallback, clipPath);
-            playingAPI.property = "is_playing";
-            this.observers.add(playingAPI);
+    saveConfig(target, name) {
+        const source = this.configSource(target, name);
+        if (!source) {
+            post("Usage: saveconfig [path] | saveconfig dict <name>");
+            return;
+        }
 
-            const triggeredAPI = new LiveAPI(triggeredCallback, clipPath);
-            triggeredAPI.property = "is_triggered";
-            this.observers.add(triggeredAPI);
+        const text = JSON.stringify(this.configDocument(), null, 2);
+        try {
+            if (source.dictName) {
+                new Dict(source.dictName).parse(text);
+            } else {
+                const file = new File(source.filePath, "write", "TEXT");
+                if (!file.isopen) {
+                    this.log.error("lifecycle", `Could not open ${source.filePath} for writing`);
+                    return;
+                }
+                file.eof = 0;
+                file.writestring(text);
+                file.close();
+            }
         } catch (error) {
-            // Silently skip problematic clip slots
+            this.log.error("lifecycle", `Could not save configuration to ${source.label}: ${error.message}`);
+            return;
         }
+        this.log.info("lifecycle", `Configuration saved to ${source.label}`);
     }
 
-    createRobustPeriodicDisplay() {
-        if (!this.isActive) return;
+    readConfigText(source) {
+        if (source.dictName) {
+            // Naming a Dict that does not exist creates an empty one
+            const dict = new Dict(source.dictName);
+            const keys = dict.getkeys();
+            if (keys === null || keys === undefined || (Array.isArray(keys) && keys.length === 0)) return null;
+            return dict.stringify();
+        }
 
-        post("=== Starting robust periodic display ===");
-        post(`Status updates every ${this.config.updateInterval / 1000} seconds with graceful degradation`);
+        const file = new File(source.filePath, "read", "TEXT");
+        if (!file.isopen) return null;
 
-        if (this.displayTask) {
-            this.displayTask.cancel();
+        const lines = [];
+        let line = file.readline();
+        while (line !== null && line !== undefined) {
+            lines.push(line);
+            line = file.readline();
         }
+        file.close();
+        return lines.join("\n");
+    }
 
-        this.displayTask = new Task(() => {
-            if (!this.isActive) {
-                if (this.displayTask) {
-                    this.displayTask.cancel();
-                    this.displayTask = null;
-                }
-                return;
+    // Nothing is applied unless the whole document is valid
+    loadConfig(target, name) {
+        const source = this.configSource(target, name);
+        if (!source) {
+            post("Usage: loadconfig [path] | loadconfig dict <name>");
+            return false;
+        }
+
+        let document;
+        try {
+            const text = this.readConfigText(source);
+            if (text === null) {
+                this.log.warn("lifecycle", `No configuration found at ${source.label}`);
+                return false;
             }
+            document = JSON.parse(text);
+        } catch (error) {
+            this.log.error("lifecycle", `Could not read configuration from ${source.label}: ${error.message}`);
+            return false;
+        }
 
-            this.displayRobustStatus();
+        const errors = validateConfigDocument(document);
+        if (errors.length > 0) {
+            this.log.error("lifecycle", `=== INVALID CONFIGURATION IN ${source.label}: ${errors.length} problem${errors.length === 1 ? '' : 's'}, nothing loaded ===`);
+            errors.forEach(error => this.log.error("lifecycle", `    ${error}`));
+            return false;
+        }
 
-            if (this.isActive && this.displayTask) {
-                this.displayTask.schedule(this.config.updateInterval);
+        const changed = this.applyConfig(document);
+        this.log.info("lifecycle", `Configuration loaded from ${source.label} (${Object.keys(document.config).length} settings, ${changed.length} changed)`);
+        return true;
+    }
+
+    // Only the monitors affected by a changed setting are re-wired
+    applyConfig(document) {
+        const changed = [];
+        for (const [key, value] of Object.entries(document.config)) {
+            const schema = CONFIG_SCHEMA[key];
+            const previous = JSON.stringify(this.config[key]);
+            if (schema.type === "boolean") {
+                this.config[key] = Boolean(value);
+            } else if (schema.type === "throttle") {
+                this.config.throttle = {};
+                for (const [type, policy] of Object.entries(value)) {
+                    this.config.throttle[type] = { mode: policy.mode, interval: policy.interval, minDelta: policy.minDelta || 0 };
+                }
+            } else if (schema.type === "logCategories") {
+                this.config.logCategories = Object.assign({}, value);
+            } else {
+                this.config[key] = value;
             }
-        });
+            if (JSON.stringify(this.config[key]) !== previous) changed.push(key);
+        }
 
-        this.displayTask.execute();
+        if (document.oscAddresses) {
+            this.osc.addressOverrides = Object.assign({}, document.oscAddresses);
+        }
+        // Values held under the old throttle policies are delivered, not dropped
+        this.throttle.flushAll();
+        changed.forEach(key => this.applySetting(key));
+        return changed;
     }
 
-    displayRobustStatus() {
-        if (!this.isActive) return;
+    // OSC output control
+    configureOsc(setting, value, extra) {
+        switch (setting) {
+            case "on":
+            case "off":
+                this.config.oscEnabled = setting === "on";
+                if (this.config.oscEnabled) this.osc.sendDestination();
+                this.log.info("lifecycle", `OSC output ${this.config.oscEnabled ? 'ENABLED' : 'DISABLED'}`);
+                break;
 
-        // Collect available information with individual error handling
-        const statusInfo = {
-            transport: null,
-            tempo: null,
-            songTime: null,
-            trackName: null,
-            trackState: null
-        };
+            case "host":
+                if (!value) {
+                    post("Usage: osc host <address> [port]");
+                    return;
+                }
+                this.config.oscHost = String(value);
+                this.log.info("lifecycle", `OSC host set to ${this.config.oscHost}`);
+                if (extra !== undefined) {
+                    this.configureOsc("port", extra);
+                } else {
+                    this.osc.sendDestination();
+                }
+                break;
 
-        // Query transport state
-        try {
-            const songAPI = new LiveAPI(null, "live_set");
-            statusInfo.transport = songAPI.get("is_playing");
-            this.connectionHealth.transportSuccess++;
-        } catch (error) {
-            // Transport query failed - this is unusual but handle gracefully
-        }
-        this.connectionHealth.transportQueries++;
+            case "port": {
+                const port = coerceSetting("oscPort", value);
+                if (settingError("oscPort", port)) {
+                    this.log.error("lifecycle", "OSC port must be between 1 and 65535");
+                    return;
+                }
+                this.config.oscPort = port;
+                this.osc.sendDestination();
+                this.log.info("lifecycle", `OSC port set to ${port}`);
+                break;
+            }
 
-        // Query tempo with type validation
-        try {
-            const songAPI = new LiveAPI(null, "live_set");
-            const rawTempo = songAPI.get("tempo");
-            // Convert to number and validate
-            const numericTempo = parseFloat(rawTempo);
-            statusInfo.tempo = !isNaN(numericTempo) ? numericTempo : null;
-        } catch (error) {
-            // Tempo query failed
-        }
+            case "prefix": {
+                const prefix = String(value || "");
+                if (settingError("oscPrefix", prefix)) {
+                    this.log.error("lifecycle", "OSC prefix must start with '/'");
+                    return;
+                }
+                this.config.oscPrefix = prefix.replace(/\/$/, "");
+                this.log.info("lifecycle", `OSC prefix set to '${this.config.oscPrefix}'`);
+                break;
+            }
 
-        // Query song position with type validation
-        try {
-            const songAPI = new LiveAPI(null, "live_set");
-            const rawSongTime = songAPI.get("current_song_time");
-            // Convert to number and validate
-            const numericSongTime = parseFloat(rawSongTime);
-            statusInfo.songTime = !isNaN(numericSongTime) ? numericSongTime : null;
-        } catch (error) {
-            // Song time query failed
+            case "address": {
+                if (!value || !extra) {
+                    post("Usage: osc address <event type> </full/address>");
+                    return;
+                }
+                // Checked like a saved configuration, so saveconfig always writes a loadable file
+                const error = oscAddressError(String(value), String(extra));
+                if (error) {
+                    this.log.error("lifecycle", `Cannot set ${error}`);
+                    return;
+                }
+                this.osc.addressOverrides[value] = String(extra);
+                this.log.info("lifecycle", `OSC address for ${value} set to ${extra}`);
+                break;
+            }
+
+            case "format":
+                if (settingError("oscFormat", value)) {
+                    this.log.error("lifecycle", "OSC format must be 'bytes' or 'message'");
+                    return;
+                }
+                this.config.oscFormat = value;
+                this.log.info("lifecycle", `OSC format set to ${value}`);
+                break;
+
+            default:
+                this.showOscStatus();
         }
+    }
 
-        // Query track information
-        try {
-            const trackAPI = new LiveAPI(null, "live_set view selected_track");
-            statusInfo.trackName = trackAPI.get("name");
+    showOscStatus() {
+        const { oscEnabled, oscHost, oscPort, oscFormat } = this.config;
+        post(`=== OSC OUTPUT: ${oscEnabled ? 'ENABLED' : 'DISABLED'} ===`);
+        post(`Destination: ${oscHost}:${oscPort} (${oscFormat})`);
+        post(`Messages sent: ${this.osc.sentCount}`);
+        Object.keys(OSC_ADDRESS_MAP).forEach(type => post(`  ${type} -> ${this.osc.addressFor(type)}`));
+    }
 
-            if (trackAPI.id !== 0) {
-                const trackFlags = [];
-                try { if (trackAPI.get("mute")) trackFlags.push("MUTED"); } catch (e) { }
-                try { if (trackAPI.get("solo")) trackFlags.push("SOLO"); } catch (e) { }
-                try { if (trackAPI.get("arm")) trackFlags.push("ARMED"); } catch (e) { }
-                statusInfo.trackState = trackFlags.length > 0 ? trackFlags.join(", ") : "AUDIBLE";
+    // Journal replay - feeds recorded events back through dispatchEvent so the
+    // outlet, console and sinks see them exactly like live ones
+    loadJournal(filePath) {
+        const file = new File(filePath, "read", "TEXT");
+        if (!file.isopen) return null;
+
+        const events = [];
+        let line = file.readline();
+        while (line !== null && line !== undefined) {
+            try {
+                const record = JSON.parse(line);
+                if (record.type && record.type !== "journal_start" && record.type !== "journal_stop") {
+                    events.push(record);
+                }
+            } catch (error) {
+                // Skip truncated or hand-edited lines
             }
-            this.connectionHealth.sessionSuccess++;
-        } catch (error) {
-            // Session query failed
+            line = file.readline();
         }
-        this.connectionHealth.sessionQueries++;
+        file.close();
 
-        // Display whatever information we successfully gathered
-        post("");
-        post("=============== ENHANCED SESSION STATUS ===============");
+        return events;
+    }
 
-        if (statusInfo.transport !== null) {
-            post(`Transport: ${statusInfo.transport ? 'PLAYING' : 'STOPPED'}`);
-        } else {
-            post("Transport: Status unavailable");
+    startReplay(filePath, speed = 1) {
+        if (!filePath) {
+            post("Usage: replay <file> [speed]");
+            return;
         }
 
-        if (statusInfo.tempo !== null) {
-            post(`Tempo: ${statusInfo.tempo.toFixed(1)} BPM`);
-        } else {
-            post("Tempo: Information unavailable");
+        const replaySpeed = parseFloat(speed);
+        if (isNaN(replaySpeed) || replaySpeed <= 0) {
+            this.log.error("lifecycle", "Replay speed must be a positive number");
+            return;
         }
 
-        if (statusInfo.songTime !== null) {
-            post(`Position: ${statusInfo.songTime.toFixed(2)} beats`);
-        } else {
-            post("Position: Timing unavailable");
+        if (this.replayTask) {
+            this.stopReplay();
         }
 
-        if (statusInfo.trackName !== null) {
-            post(`Selected: ${statusInfo.trackName}`);
-            if (statusInfo.trackState !== null) {
-                post(`Track State: ${statusInfo.trackState}`);
-            }
-        } else {
-            post("Track: Information unavailable");
+        const events = this.loadJournal(filePath);
+        if (events === null) {
+            this.log.error("lifecycle", `Could not open journal file ${filePath}`);
+            return;
+        }
+        if (events.length === 0) {
+            this.log.warn("lifecycle", `Journal ${filePath} contains no events`);
+            return;
         }
 
-        post("=====================================================");
+        this.replayState = { filePath, events, index: 0, speed: replaySpeed };
+        this.log.info("lifecycle", `=== REPLAYING ${events.length} events from ${filePath} at ${replaySpeed}x ===`);
+
+        this.replayTask = new Task(() => this.replayNextEvents());
+        this.replayTask.schedule(0);
     }
 
-    displayConnectionHealth() {
-        const { transportQueries, transportSuccess, sessionQueries, sessionSuccess } = this.connectionHealth;
+    replayNextEvents() {
+        if (!this.replayState) return;
 
-        post("=== CONNECTION HEALTH SUMMARY ===");
+        const { events, speed } = this.replayState;
+        let event = events[this.replayState.index++];
+        this.dispatchEvent(Object.assign({}, event, { replayed: true }));
 
-        if (transportQueries > 0) {
-            const transportRate = ((transportSuccess / transportQueries) * 100).toFixed(1);
-            post(`Transport queries: ${transportSuccess}/${transportQueries} (${transportRate}%)`);
+        // Dispatch everything that happened at the same moment in one go
+        while (this.replayState.index < events.length && events[this.replayState.index].wallTime <= event.wallTime) {
+            event = events[this.replayState.index++];
+            this.dispatchEvent(Object.assign({}, event, { replayed: true }));
         }
 
-        if (sessionQueries > 0) {
-            const sessionRate = ((sessionSuccess / sessionQueries) * 100).toFixed(1);
-            post(`Session queries: ${sessionSuccess}/${sessionQueries} (${sessionRate}%)`);
+        if (this.replayState.index >= events.length) {
+            this.log.info("lifecycle", `=== REPLAY FINISHED: ${events.length} events ===`);
+            this.replayTask = null;
+            this.replayState = null;
+            return;
         }
 
-        if (transportQueries === 0 && sessionQueries === 0) {
-            post("No periodic queries were attempted");
-        }
+        const nextEvent = events[this.replayState.index];
+        this.replayTask.schedule((nextEvent.wallTime - event.wallTime) / speed);
     }
 
-    // Enhanced configuration methods
-    setUpdateInterval(milliseconds) {
-        const oldInterval = this.config.updateInterval;
-        this.config.updateInterval = Math.max(1000, milliseconds);
-        post(`Update interval changed from ${oldInterval}ms to ${this.config.updateInterval}ms`);
-
-        if (this.isActive && this.displayTask && this.config.enablePeriodicDisplay) {
-            post("Restarting periodic display with new interval");
-            this.displayTask.cancel();
-            this.createRobustPeriodicDisplay();
+    stopReplay() {
+        if (!this.replayTask) {
+            this.log.warn("lifecycle", "=== NOT CURRENTLY REPLAYING ===");
+            return;
         }
-    }
-
-    togglePeriodicDisplay() {
-        this.config.enablePeriodicDisplay = !this.config.enablePeriodicDisplay;
-        post(`Periodic display ${this.config.enablePeriodicDisplay ? 'ENABLED' : 'DISABLED'}`);
 
-        if (this.isActive) {
-            if (this.config.enablePeriodicDisplay) {
-                this.createRobustPeriodicDisplay();
-            } else if (this.displayTask) {
-                this.displayTask.cancel();
-                this.displayTask = null;
-            }
-        }
+        this.replayTask.cancel();
+        this.log.info("lifecycle", `=== REPLAY STOPPED at event ${this.replayState.index}/${this.replayState.events.length} ===`);
+        this.replayTask = null;
+        this.replayState = null;
     }
 
     getDetailedStatus() {
@@ -547,20 +4901,65 @@ function help() {
     post("quick       - Quick status check");
     post("config      - Show configuration");
     post("health      - Show connection health");
+    post("output <console|events> <1|0> - Toggle console text / outlet events");
+    post("output format <list|json>     - Outlet event format");
+    post("record start [path]           - Journal every change to a JSONL file");
+    post("record stop | record status   - Stop / inspect the session journal");
+    post("midi export [path]            - Write the clip launch history as a MIDI file");
+    post("midi clear | midi status      - Reset / inspect the clip launch history");
+    post("set <key> <value>             - Change a setting, e.g. set maxTracks 16");
+    post("get [key]                     - Show one setting (also sent as 'setting <key> <value>') or all");
+    post("saveconfig [path]             - Save the configuration as JSON (observer-config.json)");
+    post("saveconfig dict <name>        - Save the configuration into a named Max Dict");
+    post("loadconfig [path] | loadconfig dict <name> - Validate and load a saved configuration");
+    post("filter                        - List the track filter rules and the observed tracks");
+    post("filter <include|exclude> <name|color|type|group|foldable> <pattern> - Add a rule");
+    post("filter remove <n> | clear | apply - Drop one rule / all rules, re-read the tracks");
+    post("log                           - List the log level of every category");
+    post("log level <error|warn|info|debug|trace> - Console verbosity (info by default)");
+    post("log <category> <level|default> - Verbosity of transport, tempo, track, mixer, clip, status, health or lifecycle");
+    post("log route <post|error>        - Send warnings and errors to error() to show them in red");
+    post("throttle                      - List the rate limits of high-rate events");
+    post("throttle <type|all> <rate|trailing|off> [ms] [min delta] - Change one");
+    post("replay <file> [speed]         - Play a journal back through the outlet/console");
+    post("replay stop                   - Stop a running replay");
+    post("devices [1|0]                 - List / toggle selected-track device monitoring");
+    post("device <n|all> <1|0>          - Enable/disable parameter monitoring per device");
+    post("tree [rescan]                 - Show (or rebuild) the selected track's rack tree");
+    post("sends <all|selected|off>      - Which tracks have their send levels observed");
+    post("notes <track> <clip>          - Dump the notes of a MIDI clip (numbered from 1)");
+    post("notes watch <1|0>             - Report note edits in playing MIDI clips");
+    post("follow <1|0>                  - Re-target selected-track observers on selection change");
+    post("osc <on|off>                  - Publish events as OSC on outlet 1");
+    post("osc host <address> [port]     - OSC destination (osc port <n>)");
+    post("osc prefix </live>            - Address prefix for every OSC message");
+    post("osc address <type> </address> - Override the address of one event type");
+    post("osc format <bytes|message>    - Raw packets or [udpsend] messages");
+    post("osc status                    - Show the OSC address map");
     post("");
     post("Enhanced Features:");
-    post("monitor.setUpdateInterval(ms) - Change update frequency");
+    post("monitor.setUpdateInterval(ms) - Change update frequency (1000-60000 ms)");
     post("monitor.togglePeriodicDisplay() - Enable/disable periodic updates");
     post("");
 }
 
 function config() {
-    const { updateInterval, maxTracks, maxClips, enablePeriodicDisplay } = monitor.config;
+    const { updateInterval, maxTracks, maxClips, maxScenes, enablePeriodicDisplay, consoleOutput, structuredOutput, eventFormat } = monitor.config;
     post("=== ENHANCED CONFIGURATION ===");
     post(`Update Interval: ${updateInterval}ms`);
     post(`Max Tracks: ${maxTracks}`);
     post(`Max Clips: ${maxClips}`);
+    post(`Max Scenes: ${maxScenes}`);
+    post(`Follow Selection: ${monitor.config.followSelection ? 'ENABLED' : 'DISABLED'}`);
+    post(`Send Monitoring: ${monitor.config.sendMonitoring.toUpperCase()}`);
+    post(`Note Monitoring: ${monitor.config.noteMonitoring ? 'ENABLED' : 'DISABLED'}`);
+    post(`Device Monitoring: ${monitor.config.deviceMonitoring ? `ENABLED (max ${monitor.config.maxDeviceParameters} parameters per device)` : 'DISABLED'}`);
     post(`Periodic Display: ${enablePeriodicDisplay ? 'ENABLED' : 'DISABLED'}`);
+    post(`Console Output: ${consoleOutput ? 'ENABLED' : 'DISABLED'}`);
+    post(`Log Level: ${monitor.config.logLevel}${monitor.config.logToError ? ' (warnings and errors to error())' : ''}`);
+    post(`Event Output: ${structuredOutput ? `ENABLED (${eventFormat})` : 'DISABLED'}`);
+    post(`Journal Rotation: ${monitor.config.journalMaxBytes} bytes`);
+    post(`Retry Failed Queries: ${monitor.config.retryFailedQueries ? 'ENABLED' : 'DISABLED'}`);
     post(`Observer Count: ${monitor.observers.size}`);
 }
 
@@ -573,6 +4972,114 @@ function health() {
     monitor.displayConnectionHealth();
 }
 
+function output(target, value) {
+    monitor.setOutputMode(target, value);
+}
+
+function record(action, filePath) {
+    switch (action) {
+        case "start":
+            monitor.startRecording(filePath);
+            break;
+        case "stop":
+            monitor.stopRecording();
+            break;
+        case "status":
+            monitor.showRecordingStatus();
+            break;
+        default:
+            post("Usage: record <start [path]|stop|status>");
+    }
+}
+
+function midi(action, filePath) {
+    switch (action) {
+        case "export":
+            monitor.exportPerformance(filePath);
+            break;
+        case "clear":
+            monitor.clearPerformance();
+            break;
+        case "status":
+            monitor.showPerformanceStatus();
+            break;
+        default:
+            post("Usage: midi <export [path]|clear|status>");
+    }
+}
+
+function set(key, value) {
+    monitor.setSetting(key, value);
+}
+
+function get(key) {
+    monitor.getSetting(key);
+}
+
+function saveconfig(target, name) {
+    monitor.saveConfig(target, name);
+}
+
+function loadconfig(target, name) {
+    monitor.loadConfig(target, name);
+}
+
+function filter(action, field, pattern) {
+    monitor.configureTrackFilter(action, field, pattern);
+}
+
+function log(setting, value) {
+    monitor.configureLogging(setting, value);
+}
+
+function throttle(eventType, mode, interval, minDelta) {
+    monitor.setThrottle(eventType, mode, interval, minDelta);
+}
+
+function devices(enabled) {
+    if (enabled === undefined) {
+        monitor.showDevices();
+    } else {
+        monitor.setDeviceMonitoring(enabled);
+    }
+}
+
+function device(deviceNumber, enabled) {
+    monitor.setDeviceEnabled(deviceNumber, enabled);
+}
+
+function tree(action) {
+    monitor.showDeviceTree(action === "rescan");
+}
+
+function sends(mode) {
+    monitor.setSendMonitoring(mode);
+}
+
+function notes(trackNumber, clipNumber) {
+    if (trackNumber === "watch") {
+        monitor.setNoteMonitoring(clipNumber);
+    } else {
+        monitor.dumpClipNotes(trackNumber, clipNumber);
+    }
+}
+
+function follow(enabled) {
+    monitor.setFollowSelection(enabled);
+}
+
+function osc(setting, value, extra) {
+    monitor.configureOsc(setting, value, extra);
+}
+
+function replay(filePath, speed) {
+    if (filePath === "stop") {
+        monitor.stopReplay();
+    } else {
+        monitor.startReplay(filePath, speed);
+    }
+}
+
 function test() {
     post("V8 ENHANCED TEST FUNCTION WORKS!");
     post("Reliability improvements active");
@@ -581,15 +5088,22 @@ function test() {
 
 // Max lifecycle functions
 function loadbang() {
-    post("");
-    post("=== Live API Data Explorer V8 ENHANCED Ready ===");
-    post("Features: Graceful degradation, robust error handling, connection health tracking");
-    post("Send 'start' to begin enhanced monitoring");
-    post("Send 'help' for all commands");
-    post("");
+    monitor.log.info("lifecycle", "");
+    monitor.log.info("lifecycle", "=== Live API Data Explorer V8 ENHANCED Ready ===");
+    monitor.log.info("lifecycle", "Features: Graceful degradation, robust error handling, connection health tracking");
+    monitor.log.info("lifecycle", "Send 'start' to begin enhanced monitoring");
+    monitor.log.info("lifecycle", "Send 'help' for all commands");
+    monitor.log.info("lifecycle", "");
+
+    // [v8 observer.js <path>] or [v8 observer.js dict <name>] loads saved settings
+    if (typeof jsarguments !== "undefined" && jsarguments.length > 1) {
+        monitor.loadConfig(jsarguments[1], jsarguments[2]);
+    }
 }
 
 function notifydeleted() {
+    if (monitor.journal.isRecording) monitor.stopRecording();
+    if (monitor.replayTask) monitor.stopReplay();
     monitor.performCleanup();
-    post("Live API Monitor V8 Enhanced - Cleanup completed");
+    monitor.log.info("lifecycle", "Live API Monitor V8 Enhanced - Cleanup completed");
 }
\ No newline at end of file
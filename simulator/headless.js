@@ -0,0 +1,32 @@
+// Headless runner - exercises observer.js against the offline simulator
+// Usage: node simulator/headless.js
+
+const { loadObserver } = require("./liveSimulator");
+
+const session = loadObserver({ echo: true });
+const { liveSet } = session;
+
+session.send("loadbang");
+session.send("start");
+
+// Transport and tempo
+liveSet.song.set("is_playing", 1);
+session.advance(3000);
+liveSet.song.set("tempo", 160);
+
+// Selected track, mixer and clips
+liveSet.track(0).set("name", "1-UR_NEURO_D3 (renamed)");
+liveSet.track(0).child("mixer_device").child("volume").set("value", 0.5);
+liveSet.track(0).child("mixer_device").child("panning").set("value", -0.4);
+liveSet.launchClip(0, 1);
+liveSet.launchClip(1, 0);
+session.advance(3000);
+liveSet.stopClip(0, 1);
+
+// Lifecycle
+session.send("status");
+session.send("restart");
+session.advance(3500);
+session.send("stop");
+
+process.stdout.write(`\n${session.outlets.length} outlet messages, ${session.console.length} console lines\n`);
@@ -0,0 +1,1083 @@
+// Offline Live API Simulator
+// In-process stand-ins for the Max globals observer.js depends on (LiveAPI,
+// Task, post, outlet) backed by a fake Live set and a virtual clock, so the
+// monitor can run headless under plain Node.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const dgram = require("dgram");
+
+// ---------------------------------------------------------------------------
+// Fake Live object model
+// ---------------------------------------------------------------------------
+
+// Display strings in the style of Live's mixer faders
+function formatMixerDb(value) {
+    if (value <= 0) return "-inf dB";
+    const db = value >= 0.4 ? (value - 0.85) * 40 : -18 + 40 * Math.log10(value / 0.4);
+    return db < -70 ? "-inf dB" : `${db.toFixed(1)} dB`;
+}
+
+function formatMixerPan(value) {
+    const amount = Math.round(Math.abs(value) * 50);
+    return amount === 0 ? "C" : `${amount}${value < 0 ? "L" : "R"}`;
+}
+
+class LiveObject {
+    constructor(liveSet, type, properties = {}) {
+        this.liveSet = liveSet;
+        this.type = type;
+        this.id = liveSet.registerObject(this);
+        this.properties = Object.assign({}, properties);
+        this.children = {}; // name -> LiveObject | LiveObject[] | () => LiveObject
+        this.functions = {}; // name -> (...args) => result
+    }
+
+    child(name) {
+        const entry = this.children[name];
+        return typeof entry === 'function' ? entry() : entry;
+    }
+
+    get(property) {
+        if (Object.prototype.hasOwnProperty.call(this.properties, property)) {
+            return this.properties[property];
+        }
+        return undefined;
+    }
+
+    // Setting a property notifies every LiveAPI observing it, like Live does
+    set(property, value) {
+        this.properties[property] = value;
+        this.liveSet.notify(this, property);
+        return this;
+    }
+}
+
+class FakeLiveSet {
+    constructor() {
+        this.objects = new Map();
+        this.nextId = 1;
+        this.observing = new Set(); // LiveAPI instances with an active property
+
+        this.song = new LiveObject(this, "Song", {
+            is_playing: 0,
+            tempo: 120,
+            current_song_time: 0,
+            signature_numerator: 4,
+            signature_denominator: 4,
+            loop: 0,
+            loop_start: 0,
+            loop_length: 16,
+            metronome: 0,
+            record_mode: 0,
+            session_record: 0,
+            overdub: 0,
+            arrangement_overdub: 0,
+            punch_in: 0,
+            punch_out: 0,
+            nudge_up: 0,
+            nudge_down: 0
+        });
+        this.song.children.tracks = [];
+        this.song.children.return_tracks = [];
+        this.song.children.scenes = [];
+        this.song.children.cue_points = [];
+        const masterTrack = this.createTrack({ name: "Master" }, 0);
+        const masterMixer = masterTrack.children.mixer_device;
+        masterMixer.children.crossfader = this.createParameter("Crossfader", 0, -1, 1,
+            (value) => formatMixerPan(value).replace("L", "A").replace("R", "B"));
+        masterMixer.children.cue_volume = this.createParameter("Cue Volume", 0.85, 0, 1, formatMixerDb);
+        this.song.children.master_track = masterTrack;
+
+        this.view = new LiveObject(this, "Song.View", {});
+        this.selectedTrack = null;
+        this.selectedScene = null;
+        this.view.children.selected_track = () => this.selectedTrack;
+        this.view.children.selected_scene = () => this.selectedScene;
+        this.song.children.view = this.view;
+
+        this.song.functions.start_playing = () => this.song.set("is_playing", 1);
+        this.song.functions.stop_playing = () => this.song.set("is_playing", 0);
+    }
+
+    registerObject(object) {
+        const id = this.nextId++;
+        this.objects.set(id, object);
+        return id;
+    }
+
+    // -- Building the set ----------------------------------------------------
+
+    createParameter(name, value, min = 0, max = 1, formatter = null) {
+        const parameter = new LiveObject(this, "DeviceParameter", { name, value, min, max });
+        parameter.functions.str_for_value = (raw) => formatter ? formatter(Number(raw)) : String(Number(raw).toFixed(2));
+        return parameter;
+    }
+
+    createTrack(spec, sceneCount) {
+        const track = new LiveObject(this, "Track", {
+            name: spec.name || "Track",
+            color: spec.color !== undefined ? spec.color : 0,
+            mute: spec.mute ? 1 : 0,
+            solo: spec.solo ? 1 : 0,
+            arm: spec.arm ? 1 : 0,
+            has_midi_input: spec.midi ? 1 : 0,
+            has_audio_input: spec.midi ? 0 : 1,
+            is_foldable: spec.foldable ? 1 : 0,
+            is_grouped: spec.grouped ? 1 : 0
+        });
+
+        const mixer = new LiveObject(this, "MixerDevice", {});
+        mixer.children.volume = this.createParameter("Track Volume", spec.volume !== undefined ? spec.volume : 0.85,
+            0, 1, formatMixerDb);
+        mixer.children.panning = this.createParameter("Track Panning", spec.pan !== undefined ? spec.pan : 0, -1, 1,
+            formatMixerPan);
+        mixer.children.sends = [];
+        track.children.mixer_device = mixer;
+
+        track.children.devices = (spec.devices || []).map(deviceSpec => this.createDevice(deviceSpec));
+        track.children.clip_slots = [];
+        for (let sceneIndex = 0; sceneIndex < sceneCount; sceneIndex++) {
+            const clipSpec = spec.clips ? spec.clips[sceneIndex] : null;
+            track.children.clip_slots.push(this.createClipSlot(clipSpec));
+        }
+
+        return track;
+    }
+
+    // Racks take `chains`, `returnChains` and `macros`; drum racks take `drumPads`
+    createDevice(spec) {
+        const isRack = Boolean(spec.chains || spec.returnChains || spec.drumPads);
+        const device = new LiveObject(this, isRack ? "RackDevice" : "Device", {
+            name: spec.name || "Device",
+            class_name: spec.className || (isRack ? "InstrumentGroupDevice" : "PluginDevice"),
+            is_active: 1,
+            can_have_chains: isRack ? 1 : 0,
+            can_have_drum_pads: spec.drumPads ? 1 : 0
+        });
+
+        let parameters = (spec.parameters || []).map(parameterSpec =>
+            this.createParameter(parameterSpec.name, parameterSpec.value || 0, parameterSpec.min || 0,
+                parameterSpec.max !== undefined ? parameterSpec.max : 1)
+        );
+
+        if (isRack) {
+            const macros = spec.macros || [];
+            device.properties.visible_macro_count = Math.max(8, macros.length);
+            parameters = [this.createParameter("Device On", 1)];
+            for (let i = 0; i < device.properties.visible_macro_count; i++) {
+                const macro = macros[i] || {};
+                parameters.push(this.createParameter(macro.name || `Macro ${i + 1}`, macro.value || 0, 0, 127));
+            }
+
+            device.children.chains = (spec.chains || []).map(chainSpec => this.createChain(chainSpec));
+            device.children.return_chains = (spec.returnChains || []).map(chainSpec => this.createChain(chainSpec));
+            if (spec.drumPads) {
+                // A drum rack always has 128 pads; chains live on the pads
+                device.children.drum_pads = [];
+                for (let note = 0; note < 128; note++) {
+                    const padSpec = spec.drumPads.find(pad => pad.note === note);
+                    const pad = new LiveObject(this, "DrumPad", {
+                        note,
+                        name: padSpec ? padSpec.name || "" : "",
+                        mute: 0,
+                        solo: 0
+                    });
+                    pad.children.chains = padSpec ? (padSpec.chains || []).map(chainSpec => this.createChain(chainSpec)) : [];
+                    device.children.drum_pads.push(pad);
+                    device.children.chains.push(...pad.children.chains);
+                }
+            }
+        }
+
+        device.children.parameters = parameters;
+        return device;
+    }
+
+    createChain(spec) {
+        const chain = new LiveObject(this, "Chain", {
+            name: spec.name || "Chain",
+            color: spec.color !== undefined ? spec.color : 0,
+            mute: spec.mute ? 1 : 0,
+            solo: spec.solo ? 1 : 0
+        });
+
+        const mixer = new LiveObject(this, "ChainMixerDevice", {});
+        mixer.children.volume = this.createParameter("Chain Volume", spec.volume !== undefined ? spec.volume : 0.85,
+            0, 1, formatMixerDb);
+        mixer.children.panning = this.createParameter("Chain Pan", 0, -1, 1, formatMixerPan);
+        chain.children.mixer_device = mixer;
+        chain.children.devices = (spec.devices || []).map(deviceSpec => this.createDevice(deviceSpec));
+        return chain;
+    }
+
+    createClipSlot(clipSpec) {
+        const clipSlot = new LiveObject(this, "ClipSlot", {
+            has_clip: clipSpec ? 1 : 0,
+            is_playing: 0,
+            is_triggered: 0
+        });
+        clipSlot.children.clip = clipSpec ? this.createClip(clipSpec) : null;
+        clipSlot.functions.fire = () => this.fireSlot(clipSlot);
+        clipSlot.functions.stop = () => this.stopSlot(clipSlot);
+        return clipSlot;
+    }
+
+    // MIDI clips take `notes` ({ pitch, start, duration, velocity, mute, probability });
+    // `legacyNotes` leaves out get_notes_extended like Live 10 does
+    createClip(spec) {
+        const clip = new LiveObject(this, "Clip", {
+            name: spec.name || "Clip",
+            color: spec.color !== undefined ? spec.color : 0,
+            length: spec.length || 4,
+            loop_start: 0,
+            loop_end: spec.length || 4,
+            looping: spec.looping === false ? 0 : 1,
+            warping: spec.midi ? 0 : 1,
+            is_audio_clip: spec.midi ? 0 : 1,
+            is_midi_clip: spec.midi ? 1 : 0,
+            file_path: spec.midi ? "" : (spec.filePath || ""),
+            is_playing: 0,
+            is_triggered: 0
+        });
+
+        clip.notes = [];
+        clip.nextNoteId = 1;
+        if (spec.midi) {
+            this.setNotes(clip, spec.notes || []);
+            clip.functions.get_notes = (fromTime, fromPitch, timeSpan, pitchSpan) => {
+                const notes = this.notesInRange(clip, fromPitch, pitchSpan, fromTime, timeSpan);
+                const atoms = ["notes", notes.length];
+                for (const note of notes) {
+                    atoms.push("note", note.pitch, note.start_time, note.duration, note.velocity, note.mute);
+                }
+                return atoms.concat("done");
+            };
+            if (!spec.legacyNotes) {
+                clip.functions.get_notes_extended = (fromPitch, pitchSpan, fromTime, timeSpan) =>
+                    JSON.stringify({ notes: this.notesInRange(clip, fromPitch, pitchSpan, fromTime, timeSpan) });
+            }
+        }
+        return clip;
+    }
+
+    // Replace a clip's notes; notes keep their id when they carry one
+    setNotes(clip, notes) {
+        clip.notes = notes.map(note => ({
+            note_id: note.note_id !== undefined ? note.note_id : clip.nextNoteId++,
+            pitch: note.pitch,
+            start_time: note.start_time !== undefined ? note.start_time : note.start || 0,
+            duration: note.duration !== undefined ? note.duration : 0.25,
+            velocity: note.velocity !== undefined ? note.velocity : 100,
+            mute: note.mute ? 1 : 0,
+            probability: note.probability !== undefined ? note.probability : 1
+        }));
+        this.notify(clip, "notes");
+        return clip;
+    }
+
+    notesInRange(clip, fromPitch, pitchSpan, fromTime, timeSpan) {
+        return clip.notes.filter(note => note.pitch >= fromPitch && note.pitch < fromPitch + pitchSpan &&
+            note.start_time >= fromTime && note.start_time < fromTime + timeSpan);
+    }
+
+    createSend(returnIndex, value = 0) {
+        return this.createParameter(String.fromCharCode(65 + returnIndex), value, 0, 1, formatMixerDb);
+    }
+
+    addTrack(spec = {}) {
+        const track = this.createTrack(spec, this.song.children.scenes.length);
+        this.song.children.return_tracks.forEach((returnTrack, returnIndex) => {
+            track.children.mixer_device.children.sends.push(this.createSend(returnIndex));
+        });
+        this.song.children.tracks.push(track);
+        if (!this.selectedTrack) this.selectedTrack = track;
+        this.structureChanged(this.song, "tracks");
+        return track;
+    }
+
+    addDevice(track, spec = {}) {
+        const device = this.createDevice(spec);
+        track.children.devices.push(device);
+        this.structureChanged(track, "devices");
+        return device;
+    }
+
+    removeDevice(track, index) {
+        const [device] = track.children.devices.splice(index, 1);
+        this.structureChanged(track, "devices");
+        return device;
+    }
+
+    addReturnTrack(spec = {}) {
+        const returnTrack = this.createTrack(spec, 0);
+        const returnIndex = this.song.children.return_tracks.length;
+        this.song.children.return_tracks.push(returnTrack);
+        // Every track gains a send feeding the new return
+        this.song.children.tracks.forEach(track => {
+            track.children.mixer_device.children.sends.push(this.createSend(returnIndex));
+        });
+        this.structureChanged(this.song, "return_tracks");
+        return returnTrack;
+    }
+
+    removeTrack(index) {
+        const [track] = this.song.children.tracks.splice(index, 1);
+        if (track && this.selectedTrack === track) {
+            this.selectedTrack = this.song.children.tracks[0] || null;
+        }
+        this.structureChanged(this.song, "tracks");
+        return track;
+    }
+
+    // Fold tracks into a group track, like Cmd+G in Live
+    groupTracks(groupIndex, memberIndexes) {
+        const group = this.track(groupIndex);
+        group.set("is_foldable", 1);
+        memberIndexes.forEach(memberIndex => {
+            const track = this.track(memberIndex);
+            track.children.group_track = group;
+            track.set("is_grouped", 1);
+        });
+        return group;
+    }
+
+    moveTrack(fromIndex, toIndex) {
+        const tracks = this.song.children.tracks;
+        const [track] = tracks.splice(fromIndex, 1);
+        tracks.splice(toIndex, 0, track);
+        this.structureChanged(this.song, "tracks");
+        return track;
+    }
+
+    addScene(spec = {}) {
+        const scene = new LiveObject(this, "Scene", {
+            name: spec.name || "",
+            tempo: spec.tempo !== undefined ? spec.tempo : -1,
+            color: spec.color !== undefined ? spec.color : 0,
+            is_triggered: 0
+        });
+        this.song.children.scenes.push(scene);
+        for (const track of this.song.children.tracks) {
+            track.children.clip_slots.push(this.createClipSlot(null));
+        }
+        if (!this.selectedScene) this.selectedScene = scene;
+        this.structureChanged(this.song, "scenes");
+        return scene;
+    }
+
+    // Arrangement locators, kept in time order like Live's cue_points list
+    addCuePoint(spec = {}) {
+        const cuePoint = new LiveObject(this, "CuePoint", { name: spec.name || "", time: spec.time || 0 });
+        cuePoint.functions.jump = () => this.song.set("current_song_time", cuePoint.get("time"));
+        this.song.children.cue_points.push(cuePoint);
+        this.song.children.cue_points.sort((a, b) => a.get("time") - b.get("time"));
+        this.structureChanged(this.song, "cue_points");
+        return cuePoint;
+    }
+
+    removeCuePoint(index) {
+        const [cuePoint] = this.song.children.cue_points.splice(index, 1);
+        this.structureChanged(this.song, "cue_points");
+        return cuePoint;
+    }
+
+    cuePoint(index) {
+        return this.song.children.cue_points[index];
+    }
+
+    removeScene(index) {
+        const [scene] = this.song.children.scenes.splice(index, 1);
+        for (const track of this.song.children.tracks) {
+            track.children.clip_slots.splice(index, 1);
+        }
+        if (scene && this.selectedScene === scene) {
+            this.selectedScene = this.song.children.scenes[0] || null;
+        }
+        this.structureChanged(this.song, "scenes");
+        return scene;
+    }
+
+    // -- Performing actions ----------------------------------------------------
+
+    track(index) {
+        return this.song.children.tracks[index];
+    }
+
+    clipSlot(trackIndex, sceneIndex) {
+        const track = this.track(trackIndex);
+        return track ? track.children.clip_slots[sceneIndex] : undefined;
+    }
+
+    returnTrack(index) {
+        return this.song.children.return_tracks[index];
+    }
+
+    // Accepts a track index or any track object (return or master track)
+    selectTrack(indexOrTrack) {
+        const track = typeof indexOrTrack === 'number' ? this.track(indexOrTrack) : indexOrTrack;
+        this.selectedTrack = track || this.selectedTrack;
+        this.notify(this.view, "selected_track");
+        this.structureChanged(null, null);
+    }
+
+    selectScene(index) {
+        this.selectedScene = this.song.children.scenes[index] || this.selectedScene;
+        this.notify(this.view, "selected_scene");
+        this.structureChanged(null, null);
+    }
+
+    scene(index) {
+        return this.song.children.scenes[index];
+    }
+
+    // Trigger a scene: every clip in its row launches and a scene tempo applies
+    launchScene(index) {
+        const scene = this.scene(index);
+        if (!scene) return;
+
+        scene.set("is_triggered", 1);
+        this.song.children.tracks.forEach((track, trackIndex) => {
+            const clipSlot = track.children.clip_slots[index];
+            if (clipSlot && clipSlot.get("has_clip")) {
+                this.fireSlot(clipSlot);
+            } else {
+                this.song.children.tracks[trackIndex].children.clip_slots
+                    .filter(other => other.get("is_playing"))
+                    .forEach(other => this.stopSlot(other));
+            }
+        });
+        if (scene.get("tempo") > 0) this.song.set("tempo", scene.get("tempo"));
+        scene.set("is_triggered", 0);
+    }
+
+    launchClip(trackIndex, sceneIndex) {
+        this.fireSlot(this.clipSlot(trackIndex, sceneIndex));
+    }
+
+    stopClip(trackIndex, sceneIndex) {
+        this.stopSlot(this.clipSlot(trackIndex, sceneIndex));
+    }
+
+    fireSlot(clipSlot) {
+        if (!clipSlot) return;
+
+        // Only one clip plays per track
+        const owner = this.song.children.tracks.find(track => track.children.clip_slots.includes(clipSlot));
+        if (owner) {
+            owner.children.clip_slots
+                .filter(other => other !== clipSlot && other.get("is_playing"))
+                .forEach(other => this.stopSlot(other));
+        }
+
+        clipSlot.set("is_triggered", 1);
+        clipSlot.set("is_triggered", 0);
+        clipSlot.set("is_playing", 1);
+        if (clipSlot.child("clip")) clipSlot.child("clip").set("is_playing", 1);
+    }
+
+    stopSlot(clipSlot) {
+        if (!clipSlot) return;
+        clipSlot.set("is_playing", 0);
+        if (clipSlot.child("clip")) clipSlot.child("clip").set("is_playing", 0);
+    }
+
+    // Advance song time while playing, called by the virtual clock
+    // Live reports the playhead to current_song_time observers every few tens of milliseconds
+    advance(milliseconds) {
+        if (!this.song.get("is_playing")) return;
+
+        for (let elapsed = 0; elapsed < milliseconds; elapsed += 50) {
+            const step = Math.min(50, milliseconds - elapsed);
+            const beats = (step / 60000) * this.song.get("tempo");
+            this.song.set("current_song_time", this.song.get("current_song_time") + beats);
+        }
+    }
+
+    // -- Path resolution and observation ---------------------------------------
+
+    resolve(livePath) {
+        const tokens = String(livePath).replace(/"/g, "").trim().split(/\s+/).filter(Boolean);
+
+        if (tokens[0] === "id") {
+            return this.objects.get(Number(tokens[1])) || null;
+        }
+        if (tokens[0] !== "live_set") return null;
+
+        let current = this.song;
+        for (let i = 1; i < tokens.length && current; i++) {
+            const entry = current.child(tokens[i]);
+            if (Array.isArray(entry)) {
+                i++;
+                current = i < tokens.length ? entry[Number(tokens[i])] || null : null;
+            } else {
+                current = entry || null;
+            }
+        }
+        return current || null;
+    }
+
+    pathOf(target) {
+        if (target === this.song) return "live_set";
+        const search = (object, prefix) => {
+            for (const name of Object.keys(object.children)) {
+                if (typeof object.children[name] === 'function') continue;
+                const entry = object.children[name];
+                if (Array.isArray(entry)) {
+                    for (let i = 0; i < entry.length; i++) {
+                        if (entry[i] === target) return `${prefix} ${name} ${i}`;
+                        const found = entry[i] ? search(entry[i], `${prefix} ${name} ${i}`) : null;
+                        if (found) return found;
+                    }
+                } else if (entry) {
+                    if (entry === target) return `${prefix} ${name}`;
+                    const found = search(entry, `${prefix} ${name}`);
+                    if (found) return found;
+                }
+            }
+            return null;
+        };
+        return target ? search(this.song, "live_set") : null;
+    }
+
+    notify(object, property) {
+        for (const api of Array.from(this.observing)) {
+            if (api.target === object && api.observedProperty === property) {
+                api.fire();
+            }
+        }
+    }
+
+    // Lists changed: notify list observers and re-resolve path-following APIs
+    structureChanged(object, property) {
+        if (object) this.notify(object, property);
+
+        for (const api of Array.from(this.observing)) {
+            if (api.mode !== 1) continue;
+            const target = this.resolve(api.originalPath);
+            if (target !== api.target) {
+                api.target = target;
+                api.fire();
+            }
+        }
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Max globals
+// ---------------------------------------------------------------------------
+
+function formatValue(liveSet, value) {
+    if (value instanceof LiveObject) return ["id", value.id];
+    if (Array.isArray(value)) {
+        const flattened = [];
+        value.forEach(item => flattened.push(...formatValue(liveSet, item)));
+        return flattened;
+    }
+    if (value === null || value === undefined) return ["id", 0];
+    return [value];
+}
+
+function createLiveAPIClass(liveSet) {
+    return class LiveAPI {
+        constructor(callback, livePath) {
+            // LiveAPI(path) is also valid in Max
+            if (typeof callback === 'string' && livePath === undefined) {
+                livePath = callback;
+                callback = null;
+            }
+            this.callback = typeof callback === 'function' ? callback : null;
+            this.originalPath = livePath || "";
+            this.target = livePath ? liveSet.resolve(livePath) : null;
+            this.observedProperty = "";
+            this.mode = 0;
+            // Max reports the bound object as "id <n>" before any property value
+            if (this.callback && this.target) this.callback(["id", this.target.id]);
+        }
+
+        get id() {
+            return this.target ? this.target.id : 0;
+        }
+
+        // Re-targeting an observing LiveAPI reports the new object's value
+        set id(value) {
+            this.target = liveSet.objects.get(Number(value)) || null;
+            this.originalPath = this.target ? liveSet.pathOf(this.target) || "" : "";
+            if (this.callback && this.target) this.callback(["id", this.target.id]);
+            if (this.observedProperty) this.fire();
+        }
+
+        get path() {
+            const resolved = liveSet.pathOf(this.target);
+            return resolved ? `"${resolved}"` : "";
+        }
+
+        get unquotedpath() {
+            return liveSet.pathOf(this.target) || "";
+        }
+
+        get type() {
+            return this.target ? this.target.type : "";
+        }
+
+        get children() {
+            return this.target ? Object.keys(this.target.children) : [];
+        }
+
+        get property() {
+            return this.observedProperty;
+        }
+
+        // Assigning a property starts observing it and reports the current value
+        set property(name) {
+            this.observedProperty = name || "";
+            if (this.observedProperty && this.callback) {
+                liveSet.observing.add(this);
+                this.fire();
+            } else {
+                liveSet.observing.delete(this);
+            }
+        }
+
+        fire() {
+            if (!this.callback || !this.observedProperty || !this.target) return;
+            this.callback([this.observedProperty, ...this.get(this.observedProperty)]);
+        }
+
+        goto(livePath) {
+            this.originalPath = livePath;
+            this.target = liveSet.resolve(livePath);
+        }
+
+        get(name) {
+            if (!this.target) return [];
+            const value = this.target.get(name);
+            if (value !== undefined) return formatValue(liveSet, value);
+            if (Object.prototype.hasOwnProperty.call(this.target.children, name)) {
+                return formatValue(liveSet, this.target.child(name));
+            }
+            return [];
+        }
+
+        getstring(name) {
+            return this.get(name).join(" ");
+        }
+
+        set(name, value) {
+            if (this.target) this.target.set(name, value);
+        }
+
+        getcount(name) {
+            if (!this.target) return 0;
+            const entry = this.target.child(name);
+            return Array.isArray(entry) ? entry.length : 0;
+        }
+
+        call(name, ...args) {
+            if (!this.target || !this.target.functions[name]) return undefined;
+            return this.target.functions[name](...args);
+        }
+    };
+}
+
+class VirtualClock {
+    constructor(liveSet) {
+        this.liveSet = liveSet;
+        this.now = 0;
+        this.queue = []; // { time, order, task }
+        this.order = 0;
+    }
+
+    enqueue(task, delay) {
+        this.dequeue(task);
+        this.queue.push({ time: this.now + Math.max(0, Number(delay) || 0), order: this.order++, task });
+    }
+
+    dequeue(task) {
+        this.queue = this.queue.filter(entry => entry.task !== task);
+    }
+
+    // Run every task due within the next `milliseconds`, in time order
+    advance(milliseconds) {
+        const end = this.now + milliseconds;
+
+        for (;;) {
+            this.queue.sort((a, b) => a.time - b.time || a.order - b.order);
+            const next = this.queue[0];
+            if (!next || next.time > end) break;
+
+            this.queue.shift();
+            this.liveSet.advance(next.time - this.now);
+            this.now = next.time;
+            next.task.run();
+        }
+
+        this.liveSet.advance(end - this.now);
+        this.now = end;
+    }
+}
+
+function createTaskClass(clock) {
+    return class Task {
+        constructor(fn, object, args) {
+            this.function = fn;
+            this.object = object || null;
+            this.arguments = args || [];
+            this.interval = 0;
+            this.iterations = 0;
+            this.remaining = 0;
+            this.running = false;
+        }
+
+        run() {
+            this.iterations++;
+            if (this.remaining > 0 && --this.remaining > 0) {
+                clock.enqueue(this, this.interval);
+            } else if (this.remaining === -1) {
+                clock.enqueue(this, this.interval);
+            } else {
+                this.running = false;
+            }
+            this.function.apply(this.object, this.arguments);
+        }
+
+        execute() {
+            this.function.apply(this.object, this.arguments);
+        }
+
+        schedule(delay) {
+            this.remaining = 0;
+            this.running = true;
+            clock.enqueue(this, delay);
+        }
+
+        repeat(count = -1, initialDelay = 0) {
+            this.remaining = count;
+            this.running = true;
+            clock.enqueue(this, initialDelay);
+        }
+
+        cancel() {
+            this.running = false;
+            this.remaining = 0;
+            clock.dequeue(this);
+        }
+
+        freepeer() {
+            this.cancel();
+        }
+    };
+}
+
+// Max Dict - named dictionaries are shared by every Dict object with the same name
+function createDictClass(store = new Map()) {
+    return class Dict {
+        constructor(name) {
+            this.name = name !== undefined ? String(name) : `u${store.size + 1}`;
+            if (!store.has(this.name)) store.set(this.name, {});
+        }
+
+        get content() {
+            return store.get(this.name);
+        }
+
+        parse(text) {
+            // Max stores booleans as ints
+            store.set(this.name, JSON.parse(text, (key, value) => typeof value === "boolean" ? Number(value) : value));
+        }
+
+        stringify() {
+            return JSON.stringify(this.content);
+        }
+
+        clear() {
+            store.set(this.name, {});
+        }
+
+        contains(key) {
+            return Object.prototype.hasOwnProperty.call(this.content, key);
+        }
+
+        get(key) {
+            return this.content[key];
+        }
+
+        set(key, value) {
+            this.content[key] = value;
+        }
+
+        getkeys() {
+            return Object.keys(this.content);
+        }
+    };
+}
+
+// Max File backed by the local file system (text access only)
+function createFileClass(options = {}) {
+    const resolvePath = (filename) => path.resolve(options.fileRoot || process.cwd(), filename);
+
+    return class File {
+        constructor(filename, access = "read", typelist = "TEXT") {
+            this.access = access;
+            this.typelist = typelist;
+            // Anything other than TEXT is kept as one character per byte
+            this.encoding = typelist === "TEXT" ? "utf8" : "latin1";
+            this.isopen = false;
+            this.position = 0;
+            this.content = "";
+            this.filename = "";
+            if (filename) this.open(filename);
+        }
+
+        open(filename) {
+            this.filename = path.basename(filename);
+            this.fullpath = resolvePath(filename);
+
+            if (fs.existsSync(this.fullpath)) {
+                this.content = fs.readFileSync(this.fullpath, this.encoding);
+            } else if (this.access === "read") {
+                this.isopen = false;
+                return;
+            } else {
+                fs.mkdirSync(path.dirname(this.fullpath), { recursive: true });
+                fs.writeFileSync(this.fullpath, "");
+                this.content = "";
+            }
+
+            this.position = 0;
+            this.isopen = true;
+        }
+
+        get eof() {
+            return this.content.length;
+        }
+
+        set eof(length) {
+            this.content = this.content.slice(0, length);
+            this.flush();
+        }
+
+        writestring(text) {
+            if (!this.isopen || this.access === "read") return;
+            const value = String(text);
+            this.content = this.content.slice(0, this.position) + value + this.content.slice(this.position + value.length);
+            this.position += value.length;
+            this.flush();
+        }
+
+        writeline(text) {
+            this.writestring(`${text}\n`);
+        }
+
+        writebytes(bytes) {
+            this.writestring(String.fromCharCode(...bytes.map(byte => byte & 0xff)));
+        }
+
+        readline() {
+            if (!this.isopen || this.position >= this.content.length) return null;
+            const end = this.content.indexOf("\n", this.position);
+            const line = this.content.slice(this.position, end === -1 ? this.content.length : end);
+            this.position = end === -1 ? this.content.length : end + 1;
+            return line.replace(/\r$/, "");
+        }
+
+        flush() {
+            fs.writeFileSync(this.fullpath, Buffer.from(this.content, this.encoding));
+        }
+
+        close() {
+            this.isopen = false;
+        }
+    };
+}
+
+// Stands in for the UDP sender patched to outlet 1: follows host/port
+// messages and sends raw OSC byte lists as datagrams
+function createUdpForwarder() {
+    const socket = dgram.createSocket("udp4");
+    const destination = { host: "127.0.0.1", port: 9000 };
+
+    return {
+        destination,
+        handle(args) {
+            if (args[0] === "host") {
+                destination.host = String(args[1]);
+            } else if (args[0] === "port") {
+                destination.port = Number(args[1]);
+            } else if (Array.isArray(args[0])) {
+                socket.send(Buffer.from(args[0]), destination.port, destination.host);
+            }
+        },
+        close() {
+            socket.close();
+        }
+    };
+}
+
+// Date whose clock is driven by the virtual clock, so wall-clock stamps in
+// events advance with simulated time
+function createDateClass(clock, epoch) {
+    return class VirtualDate extends Date {
+        constructor(...args) {
+            super(...(args.length > 0 ? args : [epoch + clock.now]));
+        }
+
+        static now() {
+            return epoch + clock.now;
+        }
+    };
+}
+
+// Default demo set used by the headless runner
+function createDemoSet() {
+    const liveSet = new FakeLiveSet();
+    liveSet.song.properties.tempo = 152;
+
+    for (let i = 0; i < 8; i++) liveSet.addScene({ name: i === 2 ? "Chorus" : "", tempo: i === 2 ? 160 : -1 });
+
+    liveSet.addTrack({
+        name: "1-UR_NEURO_D3",
+        color: 11958214,
+        clips: [
+            { name: "Neuro A", color: 16725558, length: 16, filePath: "/Samples/Neuro/Neuro A.wav" },
+            { name: "Neuro B", color: 16725558, length: 8, filePath: "/Samples/Neuro/Neuro B.wav" }
+        ],
+        devices: [
+            {
+                name: "Operator",
+                className: "Operator",
+                parameters: [{ name: "Device On", value: 1 }, { name: "Filter Freq", value: 0.6 }, { name: "Volume", value: 0.7 }]
+            },
+            { name: "Reverb", className: "Reverb", parameters: [{ name: "Device On", value: 1 }, { name: "Dry/Wet", value: 0.3 }] }
+        ]
+    });
+    liveSet.addTrack({
+        name: "2-Drums",
+        color: 16149507,
+        midi: true,
+        clips: [{
+            name: "Beat",
+            midi: true,
+            notes: [
+                { pitch: 36, start: 0, velocity: 120 },
+                { pitch: 38, start: 1, velocity: 100 },
+                { pitch: 36, start: 2, velocity: 110 },
+                { pitch: 38, start: 3, velocity: 100, probability: 0.5 }
+            ]
+        }],
+        devices: [{
+            name: "808 Kit",
+            className: "DrumGroupDevice",
+            macros: [{ name: "Tune" }, { name: "Decay" }],
+            drumPads: [
+                { note: 36, name: "Kick", chains: [{ name: "Kick", devices: [{ name: "Simpler", className: "OriginalSimpler" }] }] },
+                {
+                    note: 38,
+                    name: "Snare",
+                    chains: [{
+                        name: "Snare",
+                        devices: [{
+                            name: "Snare Layers",
+                            className: "InstrumentGroupDevice",
+                            chains: [{ name: "Body" }, { name: "Noise", devices: [{ name: "Saturator", className: "Saturator" }] }]
+                        }]
+                    }]
+                }
+            ],
+            returnChains: [{ name: "Room", devices: [{ name: "Reverb", className: "Reverb" }] }]
+        }]
+    });
+    liveSet.addTrack({ name: "3-Bass", color: 3101047, midi: true, clips: [null, {
+        name: "Sub",
+        midi: true,
+        legacyNotes: true,
+        notes: [{ pitch: 36, start: 0, duration: 1.5 }, { pitch: 43, start: 2, duration: 0.5, velocity: 90 }]
+    }] });
+    liveSet.addTrack({ name: "4-Vox", color: 8912743 });
+    liveSet.addReturnTrack({ name: "A-Reverb", color: 5480241 });
+    liveSet.addReturnTrack({ name: "B-Delay", color: 5480241 });
+
+    [["Intro", 0], ["Verse 1", 16], ["Chorus 1", 48], ["Verse 2", 80], ["Chorus 2", 112]]
+        .forEach(([name, time]) => liveSet.addCuePoint({ name, time }));
+
+    return liveSet;
+}
+
+// Load observer.js into a sandbox wired to a fake Live set
+function loadObserver(options = {}) {
+    const liveSet = options.liveSet || createDemoSet();
+    const clock = new VirtualClock(liveSet);
+    const consoleLines = [];
+    const outlets = [];
+    const echo = options.echo !== undefined ? options.echo : false;
+    const udp = options.udp ? createUdpForwarder() : null;
+
+    const context = {
+        LiveAPI: createLiveAPIClass(liveSet),
+        Task: createTaskClass(clock),
+        File: createFileClass(options),
+        Dict: createDictClass(options.dicts),
+        jsarguments: options.jsarguments || ["observer.js"],
+        post: (...args) => {
+            const line = args.join(" ");
+            consoleLines.push(line);
+            if (echo) process.stdout.write(`v8: ${line}\n`);
+        },
+        error: (...args) => {
+            const line = args.join(" ");
+            consoleLines.push(line);
+            if (echo) process.stderr.write(`v8: ${line}\n`);
+        },
+        outlet: (index, ...args) => {
+            outlets.push({ index, args });
+            if (udp && index === 1) udp.handle(args);
+            if (options.onOutlet) options.onOutlet(index, args);
+        },
+        Date: createDateClass(clock, options.epoch !== undefined ? options.epoch : Date.now())
+    };
+
+    vm.createContext(context);
+
+    const scriptPath = options.scriptPath || path.join(__dirname, "..", "observer.js");
+    vm.runInContext(fs.readFileSync(scriptPath, "utf8"), context, { filename: scriptPath });
+
+    return {
+        liveSet,
+        clock,
+        context,
+        console: consoleLines,
+        outlets,
+        // Send a Max message to the script, e.g. send("restart")
+        send(message, ...args) {
+            if (typeof context[message] !== 'function') {
+                throw new Error(`observer.js has no function '${message}'`);
+            }
+            return context[message](...args);
+        },
+        // Evaluate an expression inside the script scope, e.g. "monitor.config"
+        evaluate(expression) {
+            return vm.runInContext(expression, context);
+        },
+        advance(milliseconds) {
+            clock.advance(milliseconds);
+        },
+        // Release the UDP socket so Node can exit
+        close() {
+            if (udp) udp.close();
+        }
+    };
+}
+
+module.exports = {
+    LiveObject,
+    FakeLiveSet,
+    VirtualClock,
+    createLiveAPIClass,
+    createTaskClass,
+    createDictClass,
+    createDateClass,
+    createFileClass,
+    createDemoSet,
+    loadObserver
+};